@@ -0,0 +1,305 @@
+/**
+ * InfoTech.io Hub i18n
+ * Словари интерфейса, выбор языка (localStorage -> язык браузера -> ru) и форматирование дат
+ */
+
+const HUB_LOCALES = {
+    ru: {
+        'locale.name': 'Русский',
+        'locale.tag': 'ru-RU',
+
+        'site.title': 'InfoTech.io - Открываем двери в мир технологий',
+        'site.description': 'Интерактивная образовательная платформа с открытым контентом',
+        'nav.courses': 'Курсы',
+        'nav.paths': 'Траектории',
+        'nav.about': 'О платформе',
+        'nav.language': 'Язык интерфейса',
+        'hero.title': 'Открываем двери в мир технологий',
+        'hero.description': 'Интерактивная образовательная платформа с открытым контентом. Изучайте современные технологии через практические курсы с интерактивными тестами.',
+        'hero.button': 'Начать обучение',
+        'about.title': 'О платформе InfoTech.io',
+        'about.interactive.title': 'Интерактивное обучение',
+        'about.interactive.text': 'Каждый курс содержит интерактивные тесты и практические задания',
+        'about.open.title': 'Открытый контент',
+        'about.open.text': 'Все материалы платформы открыты и доступны на GitHub',
+        'about.modern.title': 'Современные технологии',
+        'about.modern.text': 'Изучайте актуальные технологии и инструменты',
+        'footer.copyright': '© 2025 InfoTech.io. Открытая образовательная платформа.',
+        'footer.source': 'Исходный код',
+        'footer.feed': 'Обновления курсов (RSS)',
+
+        'catalog.title': 'Каталог курсов',
+        'catalog.loading': 'Загружаем каталог курсов...',
+        'catalog.error': '❌ Ошибка загрузки каталога курсов',
+        'catalog.retry': 'Попробовать снова',
+        'catalog.empty': '📚 Курсы скоро появятся на платформе',
+        'catalog.noResults': '🔍 Нет курсов, подходящих под выбранные фильтры',
+        'catalog.summary': 'Найдено курсов: {count} из {total}',
+        'catalog.cached': '📡 Нет соединения: показан сохраненный каталог от {date}',
+
+        'filters.search': 'Поиск по названию, описанию и тегам',
+        'filters.searchLabel': 'Поиск курсов',
+        'filters.sort': 'Сортировка',
+        'filters.sort.name': 'По названию',
+        'filters.sort.updated': 'Сначала обновленные',
+        'filters.sort.difficulty': 'По сложности',
+        'filters.reset': 'Сбросить',
+        'filters.all': '{facet}: все',
+        'facet.difficulty': 'Сложность',
+        'facet.language': 'Язык',
+        'facet.type': 'Тип',
+        'facet.tag': 'Тег',
+        'facet.lifecycle': 'Стадия',
+
+        'card.updated': 'Обновлен: {date}',
+        'card.open': 'Изучать →',
+
+        'detail.back': '← Все курсы',
+        'detail.notFound': '🔍 Курс не найден',
+        'detail.author': 'Автор',
+        'detail.maintainer': 'Сопровождающий',
+        'detail.license': 'Лицензия',
+        'detail.version': 'Версия',
+        'detail.components': 'Компоненты',
+        'detail.updated': 'Обновлен',
+        'detail.repository': 'Репозиторий',
+        'detail.issues': 'Сообщить о проблеме',
+        'detail.documentation': 'Документация',
+        'detail.prerequisites': 'Перед началом изучите',
+        'detail.next': 'Что изучать дальше',
+        'detail.related': 'Похожие курсы',
+
+        'deprecated.notice': 'Курс устарел и больше не обновляется.',
+        'deprecated.replacement': 'Рекомендуем вместо него:',
+
+        'health.ok': 'Работает',
+        'health.failing': 'Сборка не удалась',
+        'health.down': 'Недоступен',
+        'health.checked': 'Проверено: {date}',
+
+        'paths.title': 'Траектории обучения',
+        'paths.empty': '🧭 Траектории обучения пока не заданы',
+
+        'difficulty.beginner': 'Начальный',
+        'difficulty.intermediate': 'Средний',
+        'difficulty.advanced': 'Продвинутый',
+        'difficulty.expert': 'Экспертный',
+        'lifecycle.development': 'В разработке',
+        'lifecycle.beta': 'Бета',
+        'lifecycle.deprecated': 'Устарел',
+        'language.ru': 'Русский',
+        'language.en': 'Английский',
+        'language.es': 'Испанский',
+        'language.fr': 'Французский',
+        'language.de': 'Немецкий',
+        'language.zh': 'Китайский',
+
+        'time.hour': { one: '{count} час', few: '{count} часа', many: '{count} часов', other: '{count} часа' },
+        'time.day': { one: '{count} день', few: '{count} дня', many: '{count} дней', other: '{count} дня' },
+        'time.week': { one: '{count} неделя', few: '{count} недели', many: '{count} недель', other: '{count} недели' }
+    },
+
+    en: {
+        'locale.name': 'English',
+        'locale.tag': 'en-GB',
+
+        'site.title': 'InfoTech.io - Opening the door to technology',
+        'site.description': 'Interactive educational platform with open content',
+        'nav.courses': 'Courses',
+        'nav.paths': 'Learning paths',
+        'nav.about': 'About',
+        'nav.language': 'Interface language',
+        'hero.title': 'Opening the door to technology',
+        'hero.description': 'Interactive educational platform with open content. Learn modern technologies through hands-on courses with interactive quizzes.',
+        'hero.button': 'Start learning',
+        'about.title': 'About InfoTech.io',
+        'about.interactive.title': 'Interactive learning',
+        'about.interactive.text': 'Every course includes interactive quizzes and practical exercises',
+        'about.open.title': 'Open content',
+        'about.open.text': 'All platform materials are open and available on GitHub',
+        'about.modern.title': 'Modern technologies',
+        'about.modern.text': 'Learn up-to-date technologies and tools',
+        'footer.copyright': '© 2025 InfoTech.io. Open educational platform.',
+        'footer.source': 'Source code',
+        'footer.feed': 'Course updates (RSS)',
+
+        'catalog.title': 'Course catalog',
+        'catalog.loading': 'Loading the course catalog...',
+        'catalog.error': '❌ Failed to load the course catalog',
+        'catalog.retry': 'Try again',
+        'catalog.empty': '📚 Courses are coming soon',
+        'catalog.noResults': '🔍 No courses match the selected filters',
+        'catalog.summary': 'Showing {count} of {total} courses',
+        'catalog.cached': '📡 You are offline: showing the cached catalog from {date}',
+
+        'filters.search': 'Search titles, descriptions and tags',
+        'filters.searchLabel': 'Search courses',
+        'filters.sort': 'Sort order',
+        'filters.sort.name': 'By title',
+        'filters.sort.updated': 'Recently updated',
+        'filters.sort.difficulty': 'By difficulty',
+        'filters.reset': 'Reset',
+        'filters.all': '{facet}: all',
+        'facet.difficulty': 'Difficulty',
+        'facet.language': 'Language',
+        'facet.type': 'Type',
+        'facet.tag': 'Tag',
+        'facet.lifecycle': 'Stage',
+
+        'card.updated': 'Updated: {date}',
+        'card.open': 'Start →',
+
+        'detail.back': '← All courses',
+        'detail.notFound': '🔍 Course not found',
+        'detail.author': 'Author',
+        'detail.maintainer': 'Maintainer',
+        'detail.license': 'License',
+        'detail.version': 'Version',
+        'detail.components': 'Components',
+        'detail.updated': 'Updated',
+        'detail.repository': 'Repository',
+        'detail.issues': 'Report an issue',
+        'detail.documentation': 'Documentation',
+        'detail.prerequisites': 'Before you start',
+        'detail.next': 'What to learn next',
+        'detail.related': 'Related courses',
+
+        'deprecated.notice': 'This course is deprecated and no longer updated.',
+        'deprecated.replacement': 'Take this one instead:',
+
+        'health.ok': 'Online',
+        'health.failing': 'Build failed',
+        'health.down': 'Unavailable',
+        'health.checked': 'Checked: {date}',
+
+        'paths.title': 'Learning paths',
+        'paths.empty': '🧭 No learning paths yet',
+
+        'difficulty.beginner': 'Beginner',
+        'difficulty.intermediate': 'Intermediate',
+        'difficulty.advanced': 'Advanced',
+        'difficulty.expert': 'Expert',
+        'lifecycle.development': 'In development',
+        'lifecycle.beta': 'Beta',
+        'lifecycle.deprecated': 'Deprecated',
+        'language.ru': 'Russian',
+        'language.en': 'English',
+        'language.es': 'Spanish',
+        'language.fr': 'French',
+        'language.de': 'German',
+        'language.zh': 'Chinese',
+
+        'time.hour': { one: '{count} hour', other: '{count} hours' },
+        'time.day': { one: '{count} day', other: '{count} days' },
+        'time.week': { one: '{count} week', other: '{count} weeks' }
+    }
+};
+
+const DEFAULT_LOCALE = 'ru';
+const LOCALE_STORAGE_KEY = 'infotecha.locale';
+
+class HubI18n {
+    constructor(locales = HUB_LOCALES) {
+        this.locales = locales;
+        this.locale = this.detectLocale();
+    }
+
+    /**
+     * Сохраненный язык, затем первый поддерживаемый язык браузера, затем ru
+     */
+    detectLocale() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+        } catch (error) {
+            // localStorage недоступен (приватный режим, запрет cookies)
+        }
+        if (saved && this.locales[saved]) {
+            return saved;
+        }
+
+        const preferred = navigator.languages || [navigator.language];
+        for (const language of preferred) {
+            const code = String(language || '').toLowerCase().split('-')[0];
+            if (this.locales[code]) {
+                return code;
+            }
+        }
+
+        return DEFAULT_LOCALE;
+    }
+
+    getAvailableLocales() {
+        return Object.keys(this.locales);
+    }
+
+    setLocale(locale) {
+        if (!this.locales[locale]) {
+            return;
+        }
+
+        this.locale = locale;
+        try {
+            localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+        } catch (error) {
+            // Выбор действует до перезагрузки страницы
+        }
+    }
+
+    lookup(key) {
+        return this.locales[this.locale][key] ?? this.locales[DEFAULT_LOCALE][key];
+    }
+
+    /**
+     * Перевод по ключу с подстановкой {параметров}; неизвестный ключ возвращается как есть
+     */
+    t(key, params = {}) {
+        const value = this.lookup(key);
+        if (typeof value !== 'string') {
+            return key;
+        }
+        return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    /**
+     * Перевод с формой множественного числа по правилам языка
+     */
+    plural(key, count) {
+        const forms = this.lookup(key);
+        if (!forms || typeof forms !== 'object') {
+            return key;
+        }
+
+        const category = new Intl.PluralRules(this.t('locale.tag')).select(count);
+        return (forms[category] || forms.other).replace('{count}', count);
+    }
+
+    formatDate(date) {
+        return date.toLocaleDateString(this.t('locale.tag'));
+    }
+
+    formatDateTime(date) {
+        return date.toLocaleString(this.t('locale.tag'), { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Перевести статические элементы страницы с атрибутами data-i18n*
+     */
+    apply(root = document) {
+        document.documentElement.lang = this.locale;
+        document.title = this.t('site.title');
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+        });
+        root.querySelectorAll('[data-i18n-content]').forEach(element => {
+            element.content = this.t(element.dataset.i18nContent);
+        });
+    }
+}
@@ -1,47 +1,193 @@
 /**
  * InfoTech.io Modules Loader
- * Загружает каталог курсов из modules.json и отображает их на главной странице
+ * Загружает каталог курсов из modules.json и отображает их на главной странице.
+ * Тексты интерфейса берутся из словарей i18n.js (HubI18n)
  */
 
+// Фасетные фильтры каталога: параметр URL и значения модуля; подпись - ключ facet.<param>
+const CATALOG_FACETS = [
+    { param: 'difficulty', values: module => [module.difficulty] },
+    { param: 'language', values: module => [module.language] },
+    { param: 'type', values: module => [module.type] },
+    { param: 'tag', values: module => module.tags || [] },
+    { param: 'lifecycle', values: module => [module.lifecycle] }
+];
+
+const CATALOG_SORTS = ['name', 'updated', 'difficulty'];
+
+const DIFFICULTY_ORDER = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Статусы реестра, которые показываются в каталоге (inactive и archived скрыты)
+const CATALOG_STATUSES = ['active', 'deprecated'];
+
+const DEFAULT_DOMAIN = 'infotecha.ru';
+const DEFAULT_GITHUB_ORG = 'info-tech-io';
+
+// Страница курса: #/module/<ключ реестра>
+const MODULE_ROUTE = /^#\/module\/([^/?#]+)\/?$/;
+// Траектории обучения по prerequisites/next
+const PATHS_ROUTE = /^#\/paths\/?$/;
+
+// Заголовок с временем сохранения реестра в кэш service worker (sw.js)
+const CACHED_AT_HEADER = 'X-Cached-At';
+
 class ModulesLoader {
     constructor() {
         this.modulesUrl = '/modules.json';
+        // Результаты сборок и проверки доступности курсов (scan-modules.js --check-urls)
+        this.statusUrl = '/status.json';
         this.retryCount = 0;
         this.maxRetries = 3;
         
         this.loadingEl = document.getElementById('loading');
         this.errorEl = document.getElementById('error');
         this.coursesGridEl = document.getElementById('courses-grid');
+        // Карточки, заранее вставленные в HTML при деплое (scripts/prerender-hub.js)
+        this.prerendered = this.coursesGridEl.hasAttribute('data-prerendered');
         this.emptyEl = document.getElementById('empty');
         this.retryButtonEl = document.getElementById('retry-button');
+        this.filtersEl = document.getElementById('catalog-filters');
+        this.searchEl = document.getElementById('filter-search');
+        this.facetsEl = document.getElementById('filter-facets');
+        this.sortEl = document.getElementById('filter-sort');
+        this.summaryEl = document.getElementById('filter-summary');
+        this.noResultsEl = document.getElementById('no-results');
+        this.detailEl = document.getElementById('module-detail');
+        this.pathsEl = document.getElementById('learning-paths');
+        this.languageSwitcherEl = document.getElementById('language-switcher');
+        this.cachedNoticeEl = document.getElementById('cached-notice');
+
+        this.i18n = new HubI18n();
+        this.data = null;
+        this.health = {};
+        // Время сохранения показанного реестра, если он пришел из кэша service worker
+        this.cachedAt = null;
+        this.registryOffline = false;
+
+        this.modules = [];
+        this.domain = null;
+        this.filters = this.readFiltersFromUrl();
         
         this.init();
     }
 
     init() {
+        this.renderLanguageSwitcher();
+        this.i18n.apply();
+        this.registerServiceWorker();
         this.loadModules();
         this.retryButtonEl.addEventListener('click', () => this.loadModules());
+
+        this.searchEl.addEventListener('input', () => this.updateFilters({ q: this.searchEl.value }));
+        this.sortEl.addEventListener('change', () => this.updateFilters({ sort: this.sortEl.value }));
+        this.facetsEl.addEventListener('change', (event) => {
+            this.updateFilters({ [event.target.name]: event.target.value });
+        });
+        this.filtersEl.addEventListener('submit', (event) => event.preventDefault());
+        this.filtersEl.addEventListener('reset', (event) => {
+            event.preventDefault();
+            this.filters = { sort: 'name' };
+            this.applyFilters();
+        });
+
+        // Навигация назад/вперед восстанавливает фильтры и открытую страницу курса
+        window.addEventListener('popstate', () => {
+            this.filters = this.readFiltersFromUrl();
+            this.route();
+        });
+        window.addEventListener('hashchange', () => this.route());
+
+        window.addEventListener('online', () => this.refreshModules());
+        window.addEventListener('offline', () => this.updateCachedNotice());
+    }
+
+    /**
+     * Service worker кэширует оболочку и реестр для работы без сети
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            return;
+        }
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'registry-updated') {
+                this.refreshModules();
+            } else if (event.data?.type === 'registry-offline') {
+                this.registryOffline = true;
+                this.updateCachedNotice();
+            }
+        });
+
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.warn('⚠️ Service worker registration failed:', error);
+        });
+    }
+
+    renderLanguageSwitcher() {
+        this.i18n.getAvailableLocales().forEach(locale => {
+            this.languageSwitcherEl.add(new Option(this.i18n.locales[locale]['locale.name'], locale));
+        });
+        this.languageSwitcherEl.value = this.i18n.locale;
+
+        this.languageSwitcherEl.addEventListener('change', () => this.changeLocale(this.languageSwitcherEl.value));
+    }
+
+    /**
+     * Переключить язык интерфейса и перерисовать каталог с локализованными названиями
+     */
+    changeLocale(locale) {
+        this.i18n.setLocale(locale);
+        this.i18n.apply();
+
+        if (this.data) {
+            this.renderModules(this.data);
+        }
+        this.updateCachedNotice();
+    }
+
+    /**
+     * Показать страницу курса или каталог в зависимости от hash.
+     * Вызывается и после загрузки, чтобы прямые ссылки на курс открывались сразу
+     */
+    route() {
+        if (this.domain === null) {
+            return;
+        }
+
+        if (PATHS_ROUTE.test(window.location.hash)) {
+            document.title = this.i18n.t('site.title');
+            this.renderPaths();
+            return;
+        }
+
+        const match = window.location.hash.match(MODULE_ROUTE);
+        if (!match) {
+            document.title = this.i18n.t('site.title');
+            this.applyFilters({ updateUrl: false });
+            return;
+        }
+
+        let moduleKey;
+        try {
+            moduleKey = decodeURIComponent(match[1]);
+        } catch (error) {
+            moduleKey = match[1];
+        }
+        this.renderDetail(moduleKey);
     }
 
     async loadModules() {
-        this.showLoading();
+        // Заранее отрисованные карточки остаются на месте до загрузки реестра
+        if (!this.prerendered) {
+            this.showLoading();
+        }
         
         try {
             console.log('🔄 Loading modules from:', this.modulesUrl);
             
-            const response = await fetch(this.modulesUrl, {
-                cache: 'no-cache',
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
+            const [data, status] = await Promise.all([this.fetchModules(), this.fetchStatus()]);
             console.log('✅ Modules loaded:', data);
+            this.health = status?.modules || {};
             
             this.renderModules(data);
             this.retryCount = 0; // Reset retry count on success
@@ -52,67 +198,738 @@ class ModulesLoader {
         }
     }
 
+    async fetchModules() {
+        const response = await fetch(this.modulesUrl, {
+            cache: 'no-cache',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        this.cachedAt = response.headers.get(CACHED_AT_HEADER);
+        this.registryOffline = false;
+        this.updateCachedNotice();
+        return data;
+    }
+
+    /**
+     * Статус курсов необязателен: без него карточки показываются без индикатора
+     */
+    async fetchStatus() {
+        try {
+            const response = await fetch(this.statusUrl, { cache: 'no-cache' });
+            if (!response.ok) {
+                return null;
+            }
+            const status = await response.json();
+            return status && typeof status.modules === 'object' ? status : null;
+        } catch (error) {
+            console.warn('⚠️ Module status unavailable:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Обновить каталог без индикатора загрузки (появилась сеть или новая версия реестра).
+     * При ошибке остается уже показанный каталог
+     */
+    async refreshModules() {
+        if (!this.data) {
+            this.loadModules();
+            return;
+        }
+
+        try {
+            const [data, status] = await Promise.all([this.fetchModules(), this.fetchStatus()]);
+            this.health = status?.modules || {};
+            this.renderModules(data);
+        } catch (error) {
+            console.warn('⚠️ Failed to refresh modules:', error);
+            this.updateCachedNotice();
+        }
+    }
+
+    /**
+     * Уведомление "показан сохраненный каталог от <даты>" при работе без сети
+     */
+    updateCachedNotice() {
+        const cachedAt = this.cachedAt ? new Date(this.cachedAt) : null;
+        const offline = this.registryOffline || !navigator.onLine;
+
+        if (!cachedAt || Number.isNaN(cachedAt.getTime()) || !offline) {
+            this.cachedNoticeEl.style.display = 'none';
+            return;
+        }
+
+        this.cachedNoticeEl.textContent = this.i18n.t('catalog.cached', { date: this.i18n.formatDateTime(cachedAt) });
+        this.cachedNoticeEl.style.display = 'block';
+    }
+
     renderModules(data) {
         if (!data.modules || Object.keys(data.modules).length === 0) {
             this.showEmpty();
             return;
         }
 
-        const activeModules = Object.entries(data.modules)
-            .filter(([key, module]) => module.status === 'active')
-            .sort((a, b) => a[1].name.localeCompare(b[1].name));
+        this.data = data;
+        this.domain = data.platform?.domain || DEFAULT_DOMAIN;
+        this.githubOrg = data.platform?.github_org || DEFAULT_GITHUB_ORG;
+        this.modules = this.normalizeModules(data)
+            .filter(([key, module]) => CATALOG_STATUSES.includes(module.status));
 
-        if (activeModules.length === 0) {
+        if (this.modules.length === 0) {
             this.showEmpty();
             return;
         }
 
-        const coursesHtml = activeModules.map(([key, module]) => 
-            this.createModuleCard(key, module, data.platform.domain)
-        ).join('');
+        this.buildPathGraph();
+        this.renderFacets();
+        this.route();
+    }
+
+    /**
+     * Привести каталог к единому виду [key, module].
+     * Понимает реестр modules.json (объект по ключам) и объединенный формат 2.0
+     * от scan-modules.js (массив с title, version, lifecycle и т.д.)
+     */
+    normalizeModules(data) {
+        if (Array.isArray(data.modules)) {
+            return data.modules.map(module => {
+                const key = (module.repository || module.content_repo || '').replace(/^mod_/, '') ||
+                    String(module.name).replace(/-/g, '_');
+                return [key, this.normalizeModule(key, module)];
+            });
+        }
+
+        return Object.entries(data.modules).map(([key, module]) => [key, this.normalizeModule(key, module)]);
+    }
+
+    normalizeModule(key, module) {
+        const repositoryName = typeof module.repository === 'string' ? module.repository : module.content_repo;
+        const repositoryUrl = this.getSafeUrl(module.urls?.repository) ||
+            (/^[A-Za-z0-9_.-]+$/.test(repositoryName || '') ? `https://github.com/${this.githubOrg}/${repositoryName}` : null);
+
+        // Локализованные варианты: "translations": { "en": { "name": "...", "description": "..." } }
+        const translation = module.translations?.[this.i18n.locale] || {};
+
+        return {
+            // В реестре `name` - заголовок курса, в формате 2.0 - идентификатор
+            title: translation.title || translation.name || module.title || module.name,
+            description: translation.description || module.description,
+            subdomain: module.subdomain || key.replace(/_/g, '-'),
+            status: module.status || 'active',
+            version: module.version,
+            type: module.type,
+            difficulty: module.difficulty,
+            estimated_time: module.estimated_time || module.duration,
+            language: module.language,
+            lifecycle: module.lifecycle,
+            tags: Array.isArray(module.tags) ? module.tags : [],
+            // В реестре ссылки - ключи (linux_base), в формате 2.0 - имена модулей (linux-base)
+            prerequisites: (module.prerequisites || []).map(id => String(id).replace(/-/g, '_')),
+            next: (module.next || []).map(id => String(id).replace(/-/g, '_')),
+            replacement: module.replacement ? String(module.replacement).replace(/-/g, '_') : null,
+            category: module.category,
+            last_updated: module.last_updated,
+            author: module.author,
+            maintainer: module.maintainer,
+            license: module.license,
+            components: module.hugo_config?.components || [],
+            repository_url: repositoryUrl,
+            issues_url: this.getSafeUrl(module.urls?.issues) || (repositoryUrl && `${repositoryUrl}/issues`),
+            documentation_url: this.getSafeUrl(module.urls?.documentation)
+        };
+    }
+
+    /**
+     * Состояние фильтров из query string: ?q=...&tag=linux&difficulty=beginner&sort=updated
+     */
+    readFiltersFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const filters = { q: params.get('q') || '', sort: params.get('sort') };
+
+        CATALOG_FACETS.forEach(facet => {
+            if (params.get(facet.param)) {
+                filters[facet.param] = params.get(facet.param);
+            }
+        });
+
+        if (!CATALOG_SORTS.includes(filters.sort)) {
+            filters.sort = 'name';
+        }
+        return filters;
+    }
+
+    /**
+     * Записать фильтры в адрес страницы, чтобы ссылкой можно было поделиться
+     */
+    writeFiltersToUrl() {
+        const params = new URLSearchParams();
+        if (this.filters.q && this.filters.q.trim()) {
+            params.set('q', this.filters.q.trim());
+        }
+        CATALOG_FACETS.forEach(facet => {
+            if (this.filters[facet.param]) {
+                params.set(facet.param, this.filters[facet.param]);
+            }
+        });
+        if (this.filters.sort !== 'name') {
+            params.set('sort', this.filters.sort);
+        }
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        window.history.replaceState(null, '', url);
+    }
+
+    updateFilters(changes) {
+        this.filters = { ...this.filters, ...changes };
+        this.applyFilters();
+    }
+
+    /**
+     * Построить выпадающие списки фасетов из значений, встречающихся в каталоге.
+     * Фасеты без значений не показываются.
+     */
+    renderFacets() {
+        this.facetsEl.textContent = '';
 
-        this.coursesGridEl.innerHTML = coursesHtml;
+        CATALOG_FACETS.forEach(facet => {
+            // Уровни сложности - по возрастанию, остальные значения - по алфавиту
+            const compare = facet.param === 'difficulty'
+                ? (a, b) => DIFFICULTY_ORDER.indexOf(a) - DIFFICULTY_ORDER.indexOf(b)
+                : (a, b) => this.getFacetValueLabel(facet.param, a).localeCompare(this.getFacetValueLabel(facet.param, b));
+            const values = [...new Set(this.modules.flatMap(([key, module]) => facet.values(module)))]
+                .filter(Boolean)
+                .sort(compare);
+
+            if (values.length === 0) {
+                return;
+            }
+
+            const select = document.createElement('select');
+            select.name = facet.param;
+            select.className = 'filter-select';
+            const label = this.i18n.t(`facet.${facet.param}`);
+            select.setAttribute('aria-label', label);
+            select.add(new Option(this.i18n.t('filters.all', { facet: label }), ''));
+            values.forEach(value => select.add(new Option(this.getFacetValueLabel(facet.param, value), value)));
+
+            this.facetsEl.appendChild(select);
+        });
+    }
+
+    getFacetValueLabel(param, value) {
+        return ['difficulty', 'language', 'lifecycle'].includes(param) ? this.translateValue(param, value) : value;
+    }
+
+    /**
+     * Синхронизировать элементы формы с состоянием фильтров
+     */
+    syncFilterControls() {
+        // Не трогаем поле поиска во время ввода, чтобы не сбивать курсор
+        if (this.searchEl.value !== (this.filters.q || '')) {
+            this.searchEl.value = this.filters.q || '';
+        }
+        this.sortEl.value = this.filters.sort;
+
+        this.facetsEl.querySelectorAll('select').forEach(select => {
+            const value = this.filters[select.name] || '';
+            // Значение из ссылки может отсутствовать в каталоге - сохраняем его, чтобы фильтр был виден
+            if (value && !Array.from(select.options).some(option => option.value === value)) {
+                select.add(new Option(this.getFacetValueLabel(select.name, value), value));
+            }
+            select.value = value;
+        });
+    }
+
+    applyFilters({ updateUrl = true } = {}) {
+        if (updateUrl) {
+            this.writeFiltersToUrl();
+        }
+        this.syncFilterControls();
+
+        const visibleModules = this.sortModules(this.modules.filter(([key, module]) => this.matchesFilters(module)));
+        this.summaryEl.textContent = this.i18n.t('catalog.summary', { count: visibleModules.length, total: this.modules.length });
+
+        if (visibleModules.length === 0) {
+            this.showNoResults();
+            return;
+        }
+
+        const cards = visibleModules.map(([key, module]) =>
+            this.createModuleCard(key, module, this.domain)
+        );
+
+        this.coursesGridEl.replaceChildren(...cards);
         this.showCourses();
     }
 
+    matchesFilters(module) {
+        const facetsMatch = CATALOG_FACETS.every(facet =>
+            !this.filters[facet.param] || facet.values(module).includes(this.filters[facet.param]));
+
+        if (!facetsMatch) {
+            return false;
+        }
+
+        const query = (this.filters.q || '').trim().toLowerCase();
+        if (!query) {
+            return true;
+        }
+
+        const searchText = [module.title, module.description, ...module.tags]
+            .filter(Boolean)
+            .join(' ')
+            .toLowerCase();
+        return query.split(/\s+/).every(word => searchText.includes(word));
+    }
+
+    sortModules(modules) {
+        const byName = (a, b) => String(a[1].title).localeCompare(String(b[1].title));
+        const comparators = {
+            name: byName,
+            // Сначала недавно обновленные
+            updated: (a, b) => (Date.parse(b[1].last_updated) || 0) - (Date.parse(a[1].last_updated) || 0) || byName(a, b),
+            // Неизвестная сложность - в конце списка
+            difficulty: (a, b) => {
+                const rank = module => {
+                    const index = DIFFICULTY_ORDER.indexOf(module.difficulty);
+                    return index === -1 ? DIFFICULTY_ORDER.length : index;
+                };
+                return rank(a[1]) - rank(b[1]) || byName(a, b);
+            }
+        };
+
+        // Устаревшие курсы - в конце, курсы на языке интерфейса - первыми
+        const locale = this.i18n.locale;
+        const byStatus = (a, b) => (a[1].status === 'deprecated' ? 1 : 0) - (b[1].status === 'deprecated' ? 1 : 0);
+        const byLocale = (a, b) => (a[1].language === locale ? 0 : 1) - (b[1].language === locale ? 0 : 1);
+        const comparator = comparators[this.filters.sort] || byName;
+
+        return [...modules].sort((a, b) => byStatus(a, b) || byLocale(a, b) || comparator(a, b));
+    }
+
+    /**
+     * Карточка курса строится через DOM API: поля реестра попадают на страницу
+     * только как текст, а ссылка на модуль проходит проверку в getModuleUrl()
+     */
     createModuleCard(moduleKey, module, domain) {
-        const moduleUrl = `https://${module.subdomain}.${domain}`;
-        const lastUpdated = new Date(module.last_updated).toLocaleDateString('ru-RU');
+        const moduleUrl = this.getModuleUrl(module.subdomain, domain);
+        const updatedDate = new Date(module.last_updated);
+
+        if (!moduleUrl) {
+            console.warn(`⚠️ Invalid subdomain for module ${moduleKey}:`, module.subdomain);
+        }
         
         // Определяем иконку по категории (для будущего использования)
         const categoryIcon = this.getCategoryIcon(module.category);
-        
-        return `
-            <article class="course-card">
-                <div class="course-header">
-                    <div class="course-icon">${categoryIcon}</div>
-                    <div class="course-meta">
-                        <span class="course-difficulty">${this.getDifficultyLabel(module.difficulty)}</span>
-                        ${module.duration ? `<span class="course-duration">${module.duration}</span>` : ''}
-                    </div>
-                </div>
-                
-                <div class="course-content">
-                    <h3 class="course-title">
-                        <a href="${moduleUrl}" target="_blank">${module.name}</a>
-                    </h3>
-                    <p class="course-description">${module.description}</p>
-                    
-                    ${module.tags ? `
-                        <div class="course-tags">
-                            ${module.tags.map(tag => `<span class="course-tag">${tag}</span>`).join('')}
-                        </div>
-                    ` : ''}
-                </div>
-                
-                <div class="course-footer">
-                    <span class="course-updated">Обновлен: ${lastUpdated}</span>
-                    <a href="${moduleUrl}" class="course-button" target="_blank">
-                        Изучать →
-                    </a>
-                </div>
-            </article>
-        `;
+
+        const health = this.getModuleHealth(moduleKey);
+        const cardClasses = ['course-card', health === 'down' && 'course-card-down', module.status === 'deprecated' && 'course-card-deprecated'];
+        const card = this.createElement('article', cardClasses.filter(Boolean).join(' '));
+        this.appendDeprecationBanner(card, module);
+
+        const header = card.appendChild(this.createElement('div', 'course-header'));
+        header.appendChild(this.createElement('div', 'course-icon', categoryIcon));
+        header.appendChild(this.createMeta(module));
+
+        const content = card.appendChild(this.createElement('div', 'course-content'));
+        this.appendLifecycleBadge(content, module);
+        this.appendHealthBadge(content, moduleKey);
+        const title = content.appendChild(this.createElement('h3', 'course-title'));
+        const detailLink = title.appendChild(this.createElement('a', null, module.title));
+        detailLink.href = this.getDetailHash(moduleKey);
+        content.appendChild(this.createElement('p', 'course-description', module.description));
+        this.appendTags(content, module);
+
+        const footer = card.appendChild(this.createElement('div', 'course-footer'));
+        const footerInfo = footer.appendChild(this.createElement('div', 'course-info'));
+        if (!isNaN(updatedDate)) {
+            footerInfo.appendChild(this.createElement('span', 'course-updated', this.i18n.t('card.updated', { date: this.i18n.formatDate(updatedDate) })));
+        }
+        if (module.version) {
+            footerInfo.appendChild(this.createElement('span', 'course-version', `v${module.version}`));
+        }
+        if (moduleUrl) {
+            footer.appendChild(this.createLink(moduleUrl, 'course-button', this.i18n.t('card.open')));
+        }
+
+        return card;
+    }
+
+    getDetailHash(moduleKey) {
+        return `#/module/${encodeURIComponent(moduleKey)}`;
+    }
+
+    /**
+     * Сложность, продолжительность и язык курса
+     */
+    createMeta(module) {
+        const meta = this.createElement('div', 'course-meta');
+        if (module.difficulty) {
+            const level = DIFFICULTY_ORDER.includes(module.difficulty) ? ` difficulty-${module.difficulty}` : '';
+            meta.appendChild(this.createElement('span', `course-difficulty${level}`, this.getDifficultyLabel(module.difficulty)));
+        }
+        if (module.estimated_time) {
+            meta.appendChild(this.createElement('span', 'course-duration', this.formatEstimatedTime(module.estimated_time)));
+        }
+        if (module.language) {
+            meta.appendChild(this.createElement('span', 'course-language', this.getLanguageLabel(module.language)));
+        }
+        return meta;
+    }
+
+    appendLifecycleBadge(parent, module) {
+        const lifecycleLabel = this.getLifecycleLabel(module.lifecycle);
+        if (lifecycleLabel) {
+            parent.appendChild(this.createElement('span', `course-badge course-badge-${module.lifecycle}`, lifecycleLabel));
+        }
+    }
+
+    /**
+     * Баннер устаревшего курса со ссылкой на курс-замену, если он есть в каталоге
+     */
+    appendDeprecationBanner(parent, module) {
+        if (module.status !== 'deprecated') {
+            return;
+        }
+
+        const banner = parent.appendChild(this.createElement('div', 'deprecation-banner'));
+        banner.setAttribute('role', 'note');
+        banner.appendChild(this.createElement('span', null, this.i18n.t('deprecated.notice')));
+
+        const replacement = this.modules.find(([key]) => key === module.replacement);
+        if (replacement) {
+            banner.appendChild(this.createElement('span', null, ` ${this.i18n.t('deprecated.replacement')} `));
+            const link = banner.appendChild(this.createElement('a', null, replacement[1].title));
+            link.href = this.getDetailHash(replacement[0]);
+        }
+    }
+
+    /**
+     * Состояние курса по status.json: down - сайт не отвечает, failing - последняя
+     * сборка не удалась (сайт показывает прошлую версию), ok, либо null без данных
+     */
+    getModuleHealth(moduleKey) {
+        const { build, reachability } = Object.hasOwn(this.health, moduleKey) ? this.health[moduleKey] : {};
+
+        if (reachability?.reachable === false) {
+            return 'down';
+        }
+        if (build?.status === 'failure') {
+            return 'failing';
+        }
+        if (reachability?.reachable === true || build?.status === 'success') {
+            return 'ok';
+        }
+        return null;
+    }
+
+    appendHealthBadge(parent, moduleKey) {
+        const health = this.getModuleHealth(moduleKey);
+        if (!health) {
+            return;
+        }
+
+        const { build, reachability } = this.health[moduleKey];
+        const checkedAt = new Date(reachability?.checked_at || build?.finished_at);
+        const badge = parent.appendChild(this.createElement('span', `course-health course-health-${health}`, this.i18n.t(`health.${health}`)));
+        if (!isNaN(checkedAt)) {
+            badge.title = this.i18n.t('health.checked', { date: this.i18n.formatDateTime(checkedAt) });
+        }
+    }
+
+    appendTags(parent, module) {
+        if (module.tags.length > 0) {
+            const tags = parent.appendChild(this.createElement('div', 'course-tags'));
+            module.tags.forEach(tag => tags.appendChild(this.createElement('span', 'course-tag', tag)));
+        }
+    }
+
+    /**
+     * Страница курса: полное описание, метаданные, ссылки и похожие курсы
+     */
+    renderDetail(moduleKey) {
+        const entry = this.modules.find(([key]) => key === moduleKey);
+        const backLink = this.createElement('a', 'detail-back', this.i18n.t('detail.back'));
+        backLink.href = '#courses';
+
+        if (!entry) {
+            const notFound = this.createElement('div', 'empty');
+            notFound.appendChild(this.createElement('p', null, this.i18n.t('detail.notFound')));
+            this.detailEl.replaceChildren(backLink, notFound);
+            document.title = this.i18n.t('site.title');
+            this.showDetail();
+            return;
+        }
+
+        const [key, module] = entry;
+        const moduleUrl = this.getModuleUrl(module.subdomain, this.domain);
+        const detail = this.createElement('article', 'detail-card');
+        this.appendDeprecationBanner(detail, module);
+
+        const header = detail.appendChild(this.createElement('div', 'course-header'));
+        const heading = header.appendChild(this.createElement('div'));
+        this.appendLifecycleBadge(heading, module);
+        this.appendHealthBadge(heading, key);
+        heading.appendChild(this.createElement('h3', 'detail-title', module.title));
+        header.appendChild(this.createMeta(module));
+
+        detail.appendChild(this.createElement('p', 'detail-description', module.description));
+
+        const updatedDate = new Date(module.last_updated);
+        const facts = [
+            ['detail.author', module.author],
+            ['detail.maintainer', module.maintainer],
+            ['detail.license', module.license],
+            ['detail.version', module.version && `v${module.version}`],
+            ['detail.components', module.components.join(', ')],
+            ['detail.updated', !isNaN(updatedDate) && this.i18n.formatDate(updatedDate)]
+        ];
+        const list = detail.appendChild(this.createElement('dl', 'detail-facts'));
+        facts.filter(([, value]) => value).forEach(([label, value]) => {
+            list.appendChild(this.createElement('dt', null, this.i18n.t(label)));
+            list.appendChild(this.createElement('dd', null, value));
+        });
+
+        this.appendTags(detail, module);
+
+        const links = detail.appendChild(this.createElement('div', 'detail-links'));
+        if (moduleUrl) {
+            links.appendChild(this.createLink(moduleUrl, 'course-button', this.i18n.t('card.open')));
+        }
+        [
+            [module.repository_url, 'detail.repository'],
+            [module.issues_url, 'detail.issues'],
+            [module.documentation_url, 'detail.documentation']
+        ].filter(([url]) => url).forEach(([url, label]) => links.appendChild(this.createLink(url, 'detail-link', this.i18n.t(label))));
+
+        this.appendModuleList(detail, this.i18n.t('detail.prerequisites'), this.getPathNeighbors(key, this.pathPredecessors));
+        this.appendModuleList(detail, this.i18n.t('detail.next'), this.getPathNeighbors(key, this.pathEdges));
+        this.appendModuleList(detail, this.i18n.t('detail.related'), this.getRelatedModules(key, module));
+
+        this.detailEl.replaceChildren(backLink, detail);
+        document.title = `${module.title} — InfoTech.io`;
+        this.showDetail();
+        this.detailEl.scrollIntoView({ block: 'start' });
+    }
+
+    /**
+     * Список ссылок на страницы курсов с заголовком; пустые списки не выводятся
+     */
+    appendModuleList(parent, heading, entries) {
+        if (entries.length === 0) {
+            return;
+        }
+
+        const section = parent.appendChild(this.createElement('section', 'detail-related'));
+        section.appendChild(this.createElement('h4', null, heading));
+        const list = section.appendChild(this.createElement('ul'));
+        entries.forEach(([key, module]) => {
+            const link = list.appendChild(this.createElement('li'))
+                .appendChild(this.createElement('a', null, module.title));
+            link.href = this.getDetailHash(key);
+        });
+    }
+
+    /**
+     * Граф траекторий: ребро a -> b означает, что курс a изучается перед b.
+     * Ссылки на курсы, которых нет в каталоге, пропускаются
+     */
+    buildPathGraph() {
+        const keys = new Set(this.modules.map(([key]) => key));
+        this.pathEdges = new Map([...keys].map(key => [key, new Set()]));
+        this.pathPredecessors = new Map([...keys].map(key => [key, new Set()]));
+
+        const addEdge = (from, to) => {
+            if (keys.has(from) && keys.has(to) && from !== to) {
+                this.pathEdges.get(from).add(to);
+                this.pathPredecessors.get(to).add(from);
+            }
+        };
+
+        this.modules.forEach(([key, module]) => {
+            module.prerequisites.forEach(prerequisite => addEdge(prerequisite, key));
+            module.next.forEach(next => addEdge(key, next));
+        });
+    }
+
+    getPathNeighbors(moduleKey, adjacency) {
+        return this.modules.filter(([key]) => adjacency.get(moduleKey).has(key));
+    }
+
+    /**
+     * Траектории - связные группы курсов, упорядоченные топологически:
+     * курс идет после всех своих prerequisites, при равенстве - по сложности
+     */
+    getLearningPaths() {
+        const byKey = new Map(this.modules);
+        const rank = key => {
+            const index = DIFFICULTY_ORDER.indexOf(byKey.get(key).difficulty);
+            return index === -1 ? DIFFICULTY_ORDER.length : index;
+        };
+        const compare = (a, b) => rank(a) - rank(b) || String(byKey.get(a).title).localeCompare(String(byKey.get(b).title));
+
+        const visited = new Set();
+        const paths = [];
+
+        this.modules.forEach(([start]) => {
+            if (visited.has(start)) {
+                return;
+            }
+
+            // Группа курсов, связанных в любом направлении
+            const group = new Set([start]);
+            const queue = [start];
+            while (queue.length > 0) {
+                const key = queue.shift();
+                [...this.pathEdges.get(key), ...this.pathPredecessors.get(key)].forEach(neighbor => {
+                    if (!group.has(neighbor)) {
+                        group.add(neighbor);
+                        queue.push(neighbor);
+                    }
+                });
+            }
+            group.forEach(key => visited.add(key));
+
+            if (group.size < 2) {
+                return;
+            }
+
+            // Алгоритм Кана; курсы из цикла (невалидный реестр) добавляются в конец
+            const inDegree = new Map([...group].map(key => [key, this.pathPredecessors.get(key).size]));
+            const ready = [...group].filter(key => inDegree.get(key) === 0).sort(compare);
+            const order = [];
+            while (ready.length > 0) {
+                const key = ready.shift();
+                order.push(key);
+                this.pathEdges.get(key).forEach(next => {
+                    inDegree.set(next, inDegree.get(next) - 1);
+                    if (inDegree.get(next) === 0) {
+                        ready.push(next);
+                        ready.sort(compare);
+                    }
+                });
+            }
+            order.push(...[...group].filter(key => !order.includes(key)).sort(compare));
+
+            paths.push(order.map(key => [key, byKey.get(key)]));
+        });
+
+        return paths.sort((a, b) => String(a[0][1].title).localeCompare(String(b[0][1].title)));
+    }
+
+    renderPaths() {
+        const backLink = this.createElement('a', 'detail-back', this.i18n.t('detail.back'));
+        backLink.href = '#courses';
+
+        const paths = this.getLearningPaths();
+        const content = [backLink, this.createElement('h3', 'paths-title', this.i18n.t('paths.title'))];
+
+        if (paths.length === 0) {
+            const empty = this.createElement('div', 'empty');
+            empty.appendChild(this.createElement('p', null, this.i18n.t('paths.empty')));
+            content.push(empty);
+        }
+
+        paths.forEach(path => {
+            const list = this.createElement('ol', 'learning-path');
+            path.forEach(([key, module]) => {
+                const step = list.appendChild(this.createElement('li', 'path-step'));
+                const link = step.appendChild(this.createElement('a', 'path-step-title', module.title));
+                link.href = this.getDetailHash(key);
+                step.appendChild(this.createMeta(module));
+            });
+            content.push(list);
+        });
+
+        this.pathsEl.replaceChildren(...content);
+        this.showPaths();
+        this.pathsEl.scrollIntoView({ block: 'start' });
+    }
+
+    /**
+     * Курсы с общими тегами, сначала с наибольшим числом совпадений
+     */
+    getRelatedModules(moduleKey, module, limit = 3) {
+        return this.modules
+            .filter(([key]) => key !== moduleKey)
+            .map(entry => ({ entry, shared: entry[1].tags.filter(tag => module.tags.includes(tag)).length }))
+            .filter(({ shared }) => shared > 0)
+            .sort((a, b) => b.shared - a.shared || String(a.entry[1].title).localeCompare(String(b.entry[1].title)))
+            .slice(0, limit)
+            .map(({ entry }) => entry);
+    }
+
+    /**
+     * Создать элемент с классом и текстовым содержимым
+     */
+    createElement(tagName, className = null, text = null) {
+        const element = document.createElement(tagName);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== null && text !== undefined) {
+            element.textContent = String(text);
+        }
+        return element;
+    }
+
+    /**
+     * Внешняя ссылка; без проверенного URL выводится только текст
+     */
+    createLink(url, className, text) {
+        if (!url) {
+            return this.createElement('span', className, text);
+        }
+
+        const link = this.createElement('a', className, text);
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        return link;
+    }
+
+    /**
+     * Нормализованный https-адрес или null для любых других схем
+     */
+    getSafeUrl(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+        try {
+            const url = new URL(value);
+            return url.protocol === 'https:' ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * https-адрес модуля на поддомене платформы или null,
+     * если поддомен или домен не являются допустимыми именами хоста
+     */
+    getModuleUrl(subdomain, domain) {
+        const labelPattern = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+        const domainPattern = /^[a-z0-9]+(-[a-z0-9]+)*(\.[a-z0-9]+(-[a-z0-9]+)*)+$/;
+
+        if (typeof subdomain !== 'string' || typeof domain !== 'string' ||
+            !labelPattern.test(subdomain) || !domainPattern.test(domain)) {
+            return null;
+        }
+
+        try {
+            const url = new URL(`https://${subdomain}.${domain}/`);
+            return url.protocol === 'https:' && url.hostname === `${subdomain}.${domain}` ? url.href : null;
+        } catch (error) {
+            return null;
+        }
     }
 
     getCategoryIcon(category) {
@@ -127,41 +944,88 @@ class ModulesLoader {
         return icons[category] || '📚';
     }
 
+    /**
+     * Подпись значения из словаря (<prefix>.<value>) или само значение, если перевода нет
+     */
+    translateValue(prefix, value) {
+        const key = `${prefix}.${value}`;
+        const label = this.i18n.t(key);
+        return label === key ? value : label;
+    }
+
     getDifficultyLabel(difficulty) {
-        const labels = {
-            'beginner': 'Начальный',
-            'intermediate': 'Средний',
-            'advanced': 'Продвинутый'
-        };
-        return labels[difficulty] || difficulty;
+        return this.translateValue('difficulty', difficulty);
+    }
+
+    /**
+     * Бейдж стадии жизненного цикла; стабильные модули без бейджа
+     */
+    getLifecycleLabel(lifecycle) {
+        const label = this.translateValue('lifecycle', lifecycle);
+        return label === lifecycle ? null : label;
+    }
+
+    /**
+     * "20 hours" из module.json -> "20 часов" с формой по правилам языка интерфейса
+     */
+    formatEstimatedTime(estimatedTime) {
+        const match = String(estimatedTime).match(/^(\d+)\s+(hour|day|week)s?$/);
+        if (!match) {
+            return String(estimatedTime);
+        }
+        return this.i18n.plural(`time.${match[2]}`, Number(match[1]));
+    }
+
+    getLanguageLabel(language) {
+        return this.translateValue('language', language);
+    }
+
+    /**
+     * Показать только перечисленные блоки раздела курсов
+     */
+    showOnly(visibleElements) {
+        const displays = new Map([
+            [this.loadingEl, 'flex'],
+            [this.errorEl, 'block'],
+            [this.coursesGridEl, 'grid'],
+            [this.emptyEl, 'block'],
+            [this.filtersEl, 'flex'],
+            [this.noResultsEl, 'block'],
+            [this.detailEl, 'block'],
+            [this.pathsEl, 'block']
+        ]);
+
+        displays.forEach((display, element) => {
+            element.style.display = visibleElements.includes(element) ? display : 'none';
+        });
     }
 
     showLoading() {
-        this.loadingEl.style.display = 'flex';
-        this.errorEl.style.display = 'none';
-        this.coursesGridEl.style.display = 'none';
-        this.emptyEl.style.display = 'none';
+        this.showOnly([this.loadingEl]);
     }
 
     showError() {
-        this.loadingEl.style.display = 'none';
-        this.errorEl.style.display = 'block';
-        this.coursesGridEl.style.display = 'none';
-        this.emptyEl.style.display = 'none';
+        this.showOnly([this.errorEl]);
     }
 
     showCourses() {
-        this.loadingEl.style.display = 'none';
-        this.errorEl.style.display = 'none';
-        this.coursesGridEl.style.display = 'grid';
-        this.emptyEl.style.display = 'none';
+        this.showOnly([this.filtersEl, this.coursesGridEl]);
+    }
+
+    showNoResults() {
+        this.showOnly([this.filtersEl, this.noResultsEl]);
+    }
+
+    showDetail() {
+        this.showOnly([this.detailEl]);
+    }
+
+    showPaths() {
+        this.showOnly([this.pathsEl]);
     }
 
     showEmpty() {
-        this.loadingEl.style.display = 'none';
-        this.errorEl.style.display = 'none';
-        this.coursesGridEl.style.display = 'none';
-        this.emptyEl.style.display = 'block';
+        this.showOnly([this.emptyEl]);
     }
 
     handleError(error) {
@@ -172,6 +1036,11 @@ class ModulesLoader {
             setTimeout(() => this.loadModules(), 2000);
         } else {
             console.error(`❌ Max retries (${this.maxRetries}) reached`);
+            if (this.prerendered && !this.data) {
+                // Фильтры без реестра не работают, но каталог со страницы остается доступен
+                this.showOnly([this.coursesGridEl]);
+                return;
+            }
             this.showError();
         }
     }
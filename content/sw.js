@@ -0,0 +1,131 @@
+/**
+ * InfoTech.io Hub Service Worker
+ * Кэширует оболочку главной страницы и последний загруженный реестр modules.json,
+ * чтобы каталог открывался при плохом соединении и без сети
+ */
+
+// Увеличить версию при изменении списка файлов оболочки
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `infotecha-shell-${CACHE_VERSION}`;
+const REGISTRY_CACHE = `infotecha-registry-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/i18n.js',
+    '/modules.js',
+    '/manifest.webmanifest'
+];
+
+const REGISTRY_URL = '/modules.json';
+// Время сохранения реестра в кэш (ISO 8601), читается ModulesLoader
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Удаляем кэши предыдущих версий
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, REGISTRY_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('infotecha-') && !currentCaches.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (url.pathname === REGISTRY_URL) {
+        event.respondWith(staleWhileRevalidate(event));
+        return;
+    }
+
+    if (request.mode === 'navigate' || SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * Оболочка: свежая версия из сети, сохраненная копия - без сети
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' && await cache.match('/index.html'));
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Реестр: сразу отдаем сохраненную копию и обновляем ее из сети в фоне.
+ * Открытые страницы получают сообщение, если реестр изменился или сеть недоступна
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(REGISTRY_CACHE);
+    const cached = await cache.match(REGISTRY_URL);
+    // Тело читаем заранее: сам ответ уйдет странице раньше, чем завершится обновление
+    const cachedBody = cached ? await cached.clone().text() : null;
+
+    const revalidate = fetch(REGISTRY_URL, { cache: 'no-cache' })
+        .then(async response => {
+            if (!response.ok) {
+                return response;
+            }
+
+            const body = await response.clone().text();
+            const headers = new Headers(response.headers);
+            headers.set(CACHED_AT_HEADER, new Date().toISOString());
+            await cache.put(REGISTRY_URL, new Response(body, { status: response.status, headers }));
+
+            if (cached && body !== cachedBody) {
+                await notifyClients({ type: 'registry-updated' });
+            }
+            return response;
+        });
+
+    if (!cached) {
+        return revalidate;
+    }
+
+    event.waitUntil(
+        revalidate.catch(() => notifyClients({
+            type: 'registry-offline',
+            cachedAt: cached.headers.get(CACHED_AT_HEADER)
+        }))
+    );
+    return cached;
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
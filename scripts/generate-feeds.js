@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+
+/**
+ * Feed Generator for InfoTech.io Platform
+ * Builds an Atom feed (feed.xml) and a JSON Feed (feed.json) of course updates
+ * from modules.json or the unified 2.0 output of scan-modules.js.
+ * modules.json has no tags or versions: pass the unified output with --metadata
+ * to have them in the feeds.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger, mergeScannedMetadata } = require('./scan-modules.js');
+
+// Configuration
+const CENTRAL_MODULES_PATH = path.join(__dirname, '../modules.json');
+const DEFAULT_OUT_DIR = path.join(__dirname, '../content');
+const DEFAULT_DOMAIN = 'infotecha.ru';
+const FEED_LANGUAGE = 'ru';
+const SUBDOMAIN_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const TAG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Registry statuses listed in the catalog; archived and inactive modules are left out
+const LISTED_STATUSES = ['active', 'deprecated'];
+
+/**
+ * Format date as feed timestamp (RFC 3339 without milliseconds)
+ */
+function formatTimestamp(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Builds feed documents from catalog data
+ */
+class FeedGenerator {
+    constructor(data) {
+        this.platformName = data.platform?.name || 'InfoTech.io';
+        this.domain = data.platform?.domain || DEFAULT_DOMAIN;
+        this.homeUrl = `https://${this.domain}/`;
+        this.items = this.collectItems(data);
+    }
+
+    /**
+     * One item per listed module, newest update first.
+     * Understands the keyed registry and the unified 2.0 modules array.
+     */
+    collectItems(data) {
+        const modules = data.modules || {};
+        const entries = Array.isArray(modules)
+            ? modules.map(module => [(module.repository || '').replace(/^mod_/, '') || String(module.name).replace(/-/g, '_'), module])
+            : Object.entries(modules);
+
+        return entries
+            .filter(([key, module]) => LISTED_STATUSES.includes(module.status || 'active'))
+            .map(([key, module]) => {
+                const updated = new Date(module.last_updated);
+                if (isNaN(updated)) {
+                    Logger.warning(`Skipping ${key}: no valid last_updated`);
+                    return null;
+                }
+
+                return {
+                    key,
+                    // Registry `name` is the title, unified `name` is the module id
+                    title: Array.isArray(modules) ? module.title || module.name : module.name,
+                    description: module.description || '',
+                    version: module.version,
+                    url: this.getModuleUrl(key, module),
+                    updated: formatTimestamp(updated),
+                    tags: (Array.isArray(module.tags) ? module.tags : []).filter(tag => TAG_PATTERN.test(tag))
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.updated.localeCompare(a.updated) || a.key.localeCompare(b.key));
+    }
+
+    /**
+     * https urls.production, otherwise https://<subdomain>.<domain>/
+     */
+    getModuleUrl(key, module) {
+        if (typeof module.urls?.production === 'string' && module.urls.production.startsWith('https://')) {
+            return module.urls.production;
+        }
+
+        const subdomain = SUBDOMAIN_PATTERN.test(module.subdomain || '') ? module.subdomain : key.replace(/_/g, '-');
+        return `https://${subdomain}.${this.domain}/`;
+    }
+
+    getTags() {
+        return [...new Set(this.items.flatMap(item => item.tags))].sort();
+    }
+
+    /**
+     * Item id changes with every update so feed readers show it as new
+     */
+    getItemId(item) {
+        return `tag:${this.domain},${item.updated.slice(0, 10)}:module/${item.key}/${item.updated}`;
+    }
+
+    getItemTitle(item) {
+        return item.version ? `${item.title} v${item.version}` : item.title;
+    }
+
+    getFeedTitle(tag) {
+        return tag ? `${this.platformName}: обновления курсов (${tag})` : `${this.platformName}: обновления курсов`;
+    }
+
+    toAtom(items, { tag = null, selfUrl }) {
+        const updated = items[0]?.updated || formatTimestamp(new Date(0));
+        const entries = items.map(item => [
+            '  <entry>',
+            `    <title>${escapeXml(this.getItemTitle(item))}</title>`,
+            `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+            `    <id>${escapeXml(this.getItemId(item))}</id>`,
+            `    <updated>${item.updated}</updated>`,
+            `    <summary>${escapeXml(item.description)}</summary>`,
+            ...item.tags.map(itemTag => `    <category term="${escapeXml(itemTag)}"/>`),
+            '  </entry>'
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${FEED_LANGUAGE}">`,
+            `  <title>${escapeXml(this.getFeedTitle(tag))}</title>`,
+            `  <link rel="alternate" type="text/html" href="${escapeXml(this.homeUrl)}"/>`,
+            `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+            `  <id>${escapeXml(selfUrl)}</id>`,
+            `  <updated>${updated}</updated>`,
+            `  <author><name>${escapeXml(this.platformName)}</name></author>`,
+            ...entries,
+            '</feed>',
+            ''
+        ].join('\n');
+    }
+
+    toJsonFeed(items, { tag = null, feedUrl }) {
+        const feed = {
+            version: 'https://jsonfeed.org/version/1.1',
+            title: this.getFeedTitle(tag),
+            home_page_url: this.homeUrl,
+            feed_url: feedUrl,
+            language: FEED_LANGUAGE,
+            authors: [{ name: this.platformName }],
+            items: items.map(item => ({
+                id: this.getItemId(item),
+                url: item.url,
+                title: this.getItemTitle(item),
+                content_text: item.description,
+                date_modified: item.updated,
+                ...(item.tags.length > 0 && { tags: item.tags })
+            }))
+        };
+
+        return `${JSON.stringify(feed, null, 2)}\n`;
+    }
+
+    /**
+     * Write feed.xml and feed.json, and with perTag feeds/<tag>.xml|json for every tag.
+     * Returns written file paths.
+     */
+    write(outDir, { perTag = false } = {}) {
+        const written = [];
+        const writeFeeds = (items, relativeBase, tag = null) => {
+            const atomPath = path.join(outDir, `${relativeBase}.xml`);
+            const jsonPath = path.join(outDir, `${relativeBase}.json`);
+
+            fs.mkdirSync(path.dirname(atomPath), { recursive: true });
+            fs.writeFileSync(atomPath, this.toAtom(items, { tag, selfUrl: `${this.homeUrl}${relativeBase}.xml` }), 'utf8');
+            fs.writeFileSync(jsonPath, this.toJsonFeed(items, { tag, feedUrl: `${this.homeUrl}${relativeBase}.json` }), 'utf8');
+            written.push(atomPath, jsonPath);
+        };
+
+        writeFeeds(this.items, 'feed');
+
+        if (perTag) {
+            this.getTags().forEach(tag => {
+                writeFeeds(this.items.filter(item => item.tags.includes(tag)), `feeds/${tag}`, tag);
+            });
+        }
+
+        return written;
+    }
+}
+
+/**
+ * Read catalog from inputPath; with metadataPath, registry entries get module.json
+ * metadata from the unified 2.0 output of scan-modules.js
+ */
+function readCatalog(inputPath, metadataPath = null) {
+    const readJson = filePath => {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to read ${filePath}: ${error.message}`);
+        }
+    };
+
+    const data = readJson(inputPath);
+    if (!metadataPath) {
+        return data;
+    }
+    if (Array.isArray(data.modules)) {
+        throw new Error(`${inputPath} is already a unified catalog, --metadata applies to modules.json`);
+    }
+
+    return mergeScannedMetadata(data, readJson(metadataPath));
+}
+
+/**
+ * CLI Interface
+ */
+function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log(`
+Feed Generator for InfoTech.io Platform
+
+USAGE:
+  generate-feeds.js [options]              Write feed.xml (Atom) and feed.json (JSON Feed)
+
+EXAMPLES:
+  generate-feeds.js
+  generate-feeds.js --per-tag
+  generate-feeds.js --per-tag --metadata unified-modules.json
+  generate-feeds.js --input unified-modules.json --out-dir dist
+
+OPTIONS:
+  --input <path>     Registry or unified 2.0 catalog (default: modules.json)
+  --metadata <path>  Unified 2.0 output of scan-modules.js --output json; adds
+                     module.json tags, versions etc. to registry entries
+  --out-dir <dir>    Output directory (default: content)
+  --per-tag          Also write feeds/<tag>.xml and feeds/<tag>.json for every tag;
+                     fails when no course has tags
+  --help, -h         Show help
+        `);
+        process.exit(0);
+    }
+
+    const inputPath = args.includes('--input') ? path.resolve(args[args.indexOf('--input') + 1]) : CENTRAL_MODULES_PATH;
+    const metadataPath = args.includes('--metadata') ? path.resolve(args[args.indexOf('--metadata') + 1]) : null;
+    const outDir = args.includes('--out-dir') ? path.resolve(args[args.indexOf('--out-dir') + 1]) : DEFAULT_OUT_DIR;
+    const perTag = args.includes('--per-tag');
+
+    let data;
+    try {
+        data = readCatalog(inputPath, metadataPath);
+    } catch (error) {
+        Logger.error(error.message);
+        process.exit(1);
+    }
+
+    const generator = new FeedGenerator(data);
+
+    // modules.json alone has neither: feeds would silently lose per-tag files and versions
+    if (perTag && generator.getTags().length === 0) {
+        Logger.error(`No course in ${path.relative(process.cwd(), inputPath)} has tags, per-tag feeds can't be written`);
+        Logger.error('Pass module metadata: scan-modules.js --output json > unified-modules.json, then --metadata unified-modules.json');
+        process.exit(1);
+    }
+    const unversioned = generator.items.filter(item => !item.version).map(item => item.key);
+    if (unversioned.length > 0) {
+        Logger.warning(`No version for ${unversioned.join(', ')}: feed titles won't show it (use --metadata)`);
+    }
+
+    generator.write(outDir, { perTag })
+        .forEach(filePath => Logger.success(`Written ${path.relative(process.cwd(), filePath)}`));
+    Logger.info(`${generator.items.length} course(s) in feed`);
+}
+
+// Export for testing
+module.exports = { FeedGenerator, escapeXml, readCatalog };
+
+// Run CLI if called directly
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,244 @@
+/**
+ * Semantic lint rules for module.json files
+ * Each rule has an id and a default severity (off/warn/error) that can be changed
+ * from .modulelintrc or the registry `platform` block, and suppressed per module
+ * through `lint.suppress` in module.json. Rules with a `fix` function can be
+ * corrected automatically by `validate-module.js --fix`.
+ */
+
+const fs = require('fs');
+
+const SEVERITIES = ['off', 'warn', 'error'];
+
+// Used when neither the registry nor .modulelintrc define platform settings
+const DEFAULT_PLATFORM = {
+    domain: 'infotecha.ru',
+    github_org: 'info-tech-io',
+    hugo_version: '0.148.2'
+};
+
+const RULES = [
+    {
+        id: 'subdomain-matches-name',
+        severity: 'warn',
+        path: '/deployment/subdomain',
+        description: 'deployment.subdomain should equal the module name',
+        check(moduleData) {
+            if (moduleData.deployment?.subdomain !== moduleData.name) {
+                return `Subdomain "${moduleData.deployment?.subdomain}" doesn't match module name "${moduleData.name}"`;
+            }
+            return null;
+        },
+        fix(moduleData, options, platform, set) {
+            set('/deployment/subdomain', moduleData.name);
+        }
+    },
+    {
+        id: 'repository-naming',
+        severity: 'warn',
+        path: '/deployment/repository',
+        description: 'deployment.repository should be mod_ + module name in snake_case',
+        check(moduleData) {
+            const expectedRepo = `mod_${moduleData.name.replace(/-/g, '_')}`;
+            if (moduleData.deployment?.repository !== expectedRepo) {
+                return `Repository name "${moduleData.deployment?.repository}" doesn't follow convention. Expected: "${expectedRepo}"`;
+            }
+            return null;
+        },
+        fix(moduleData, options, platform, set) {
+            set('/deployment/repository', `mod_${moduleData.name.replace(/-/g, '_')}`);
+        }
+    },
+    {
+        id: 'repository-url',
+        severity: 'warn',
+        path: '/urls/repository',
+        description: 'urls.repository should point to deployment.repository in the platform organization',
+        check(moduleData, options, platform) {
+            const expectedUrl = `https://github.com/${platform.github_org}/${moduleData.deployment?.repository}`;
+            if (moduleData.urls?.repository?.replace(/\/$/, '') !== expectedUrl) {
+                return `Repository URL "${moduleData.urls?.repository}" doesn't match expected: "${expectedUrl}"`;
+            }
+            return null;
+        },
+        fix(moduleData, options, platform, set) {
+            set('/urls/repository', `https://github.com/${platform.github_org}/${moduleData.deployment.repository}`);
+        }
+    },
+    {
+        id: 'production-url',
+        severity: 'warn',
+        path: '/urls/production',
+        description: 'urls.production should be https://<name>.<platform domain>',
+        check(moduleData, options, platform) {
+            const expectedUrl = `https://${moduleData.name}.${platform.domain}`;
+            if (moduleData.urls?.production !== expectedUrl) {
+                return `Production URL "${moduleData.urls?.production}" doesn't match expected format: "${expectedUrl}"`;
+            }
+            return null;
+        },
+        fix(moduleData, options, platform, set) {
+            set('/urls/production', `https://${moduleData.name}.${platform.domain}`);
+        }
+    },
+    {
+        id: 'license-required',
+        severity: 'warn',
+        path: '/metadata/license',
+        description: 'metadata.license should be specified',
+        check(moduleData) {
+            return moduleData.metadata?.license ? null : 'License not specified - consider adding one';
+        }
+    },
+    {
+        id: 'hugo-version',
+        severity: 'warn',
+        path: '/hugo_config/hugo_version',
+        description: 'hugo_config.hugo_version should match the platform Hugo version',
+        check(moduleData, options, platform) {
+            const expected = options.version || platform.hugo_version;
+            const actual = moduleData.hugo_config?.hugo_version;
+            if (actual && actual !== expected) {
+                return `Hugo version ${actual} differs from current platform version ${expected}`;
+            }
+            return null;
+        },
+        fix(moduleData, options, platform, set) {
+            set('/hugo_config/hugo_version', options.version || platform.hugo_version);
+        }
+    },
+    {
+        id: 'min-tags',
+        severity: 'warn',
+        path: '/metadata/tags',
+        description: 'metadata.tags should have enough entries for categorization',
+        check(moduleData, options) {
+            const min = options.min || 3;
+            if (moduleData.metadata?.tags && moduleData.metadata.tags.length < min) {
+                return `Consider adding more tags (${min}-5 recommended) for better categorization`;
+            }
+            return null;
+        }
+    }
+];
+
+/**
+ * Runs configured lint rules against module data
+ */
+class RuleEngine {
+    constructor(config = {}) {
+        this.platform = { ...DEFAULT_PLATFORM, ...config.platform };
+        this.rules = new Map();
+
+        RULES.forEach(rule => {
+            this.rules.set(rule.id, { rule, severity: rule.severity, options: {} });
+        });
+
+        Object.entries(config.rules || {}).forEach(([id, setting]) => this.configureRule(id, setting));
+    }
+
+    /**
+     * Apply "severity" or ["severity", { options }] setting to a rule
+     */
+    configureRule(id, setting) {
+        const entry = this.rules.get(id);
+        if (!entry) {
+            throw new Error(`Unknown lint rule "${id}". Available: ${RULES.map(rule => rule.id).join(', ')}`);
+        }
+
+        const [severity, options = {}] = Array.isArray(setting) ? setting : [setting];
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Invalid severity "${severity}" for rule "${id}". Use: ${SEVERITIES.join(', ')}`);
+        }
+
+        entry.severity = severity;
+        entry.options = { ...entry.options, ...options };
+    }
+
+    /**
+     * Run enabled rules that the module doesn't suppress.
+     * Returns findings as { rule, severity, path, message }.
+     */
+    run(moduleData) {
+        const suppressed = new Set(moduleData.lint?.suppress || []);
+        const findings = [];
+
+        for (const { rule, severity, options } of this.rules.values()) {
+            if (severity === 'off' || suppressed.has(rule.id)) {
+                continue;
+            }
+
+            const message = rule.check(moduleData, options, this.platform);
+            if (message) {
+                findings.push({ rule: rule.id, severity, path: rule.path, message });
+            }
+        }
+
+        return findings;
+    }
+
+    /**
+     * Apply fixes of enabled rules that currently fail. Rules run in order,
+     * so later rules see earlier corrections. Returns findings without an automatic fix.
+     */
+    fix(moduleData, set) {
+        const suppressed = new Set(moduleData.lint?.suppress || []);
+        const unfixed = [];
+
+        for (const { rule, severity, options } of this.rules.values()) {
+            if (severity === 'off' || suppressed.has(rule.id)) {
+                continue;
+            }
+
+            const message = rule.check(moduleData, options, this.platform);
+            if (!message) {
+                continue;
+            }
+
+            if (rule.fix) {
+                rule.fix(moduleData, options, this.platform, set);
+            } else {
+                unfixed.push({ rule: rule.id, severity, path: rule.path, message });
+            }
+        }
+
+        return unfixed;
+    }
+
+    /**
+     * Build lint configuration from the registry platform block and .modulelintrc.
+     * .modulelintrc settings take precedence over the registry.
+     */
+    static loadConfig({ registryPath = null, rcPath = null } = {}) {
+        const config = { platform: {}, rules: {} };
+
+        if (registryPath && fs.existsSync(registryPath)) {
+            const { platform = {} } = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+            if (platform.domain) {
+                config.platform.domain = platform.domain;
+            }
+            if (platform.github_org) {
+                config.platform.github_org = platform.github_org;
+            }
+            if (platform.hugo_version) {
+                config.platform.hugo_version = platform.hugo_version;
+            }
+            Object.assign(config.rules, platform.lint_rules);
+        }
+
+        if (rcPath && fs.existsSync(rcPath)) {
+            let rc;
+            try {
+                rc = JSON.parse(fs.readFileSync(rcPath, 'utf8'));
+            } catch (error) {
+                throw new Error(`Failed to parse ${rcPath}: ${error.message}`);
+            }
+            Object.assign(config.platform, rc.platform);
+            Object.assign(config.rules, rc.rules);
+        }
+
+        return config;
+    }
+}
+
+module.exports = { RuleEngine, RULES, SEVERITIES, DEFAULT_PLATFORM };
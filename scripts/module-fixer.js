@@ -0,0 +1,373 @@
+/**
+ * Module Fixer for InfoTech.io Platform
+ * Applies safe automatic corrections to module.json files
+ */
+
+const NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Split JSON pointer into unescaped reference tokens
+ */
+function parsePointer(pointer) {
+    if (!pointer) {
+        return [];
+    }
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Convert arbitrary tag text to kebab-case
+ */
+function toKebabCase(value) {
+    return String(value)
+        .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Detect indentation used by JSON text (defaults to 2 spaces)
+ */
+function detectIndent(text) {
+    const match = text.match(/^[ \t]+(?=")/m);
+    return match ? match[0] : '  ';
+}
+
+/**
+ * Locate values in JSON text. Returns a tree of nodes with source offsets:
+ * { type: 'object', start, end, members: [{ key, keyStart, value }] },
+ * { type: 'array', start, end, items: [node] } or { type: 'value', start, end }.
+ * The text must be valid JSON (it is parsed with JSON.parse first).
+ */
+function parseJsonSpans(text) {
+    let pos = 0;
+
+    const skipWhitespace = () => {
+        while (/\s/.test(text[pos] || '')) {
+            pos++;
+        }
+    };
+
+    const readString = () => {
+        const start = pos++;
+        while (text[pos] !== '"') {
+            pos += text[pos] === '\\' ? 2 : 1;
+        }
+        pos++;
+        return JSON.parse(text.slice(start, pos));
+    };
+
+    const readValue = () => {
+        skipWhitespace();
+        const start = pos;
+
+        if (text[pos] === '{' || text[pos] === '[') {
+            const isObject = text[pos] === '{';
+            const close = isObject ? '}' : ']';
+            const children = [];
+            pos++;
+            skipWhitespace();
+
+            while (text[pos] !== close) {
+                if (isObject) {
+                    const keyStart = pos;
+                    const key = readString();
+                    skipWhitespace();
+                    pos++; // ':'
+                    children.push({ key, keyStart, value: readValue() });
+                } else {
+                    children.push(readValue());
+                }
+                skipWhitespace();
+                if (text[pos] === ',') {
+                    pos++;
+                    skipWhitespace();
+                }
+            }
+            pos++;
+
+            return isObject
+                ? { type: 'object', start, end: pos, members: children }
+                : { type: 'array', start, end: pos, items: children };
+        }
+
+        if (text[pos] === '"') {
+            readString();
+        } else {
+            while (pos < text.length && !/[\s,\]}]/.test(text[pos])) {
+                pos++;
+            }
+        }
+        return { type: 'value', start, end: pos };
+    };
+
+    return readValue();
+}
+
+/**
+ * Difference between two JSON values as edit operations on the deepest objects:
+ * [{ op: 'set' | 'remove', tokens }]. Arrays and scalars are replaced as a whole.
+ */
+function diffJson(before, after, tokens = []) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(before) || !isObject(after)) {
+        return JSON.stringify(before) === JSON.stringify(after) ? [] : [{ op: 'set', tokens, value: after }];
+    }
+
+    return [
+        ...Object.keys(before)
+            .filter(key => !Object.prototype.hasOwnProperty.call(after, key))
+            .map(key => ({ op: 'remove', tokens: [...tokens, key] })),
+        ...Object.keys(after).flatMap(key => (Object.prototype.hasOwnProperty.call(before, key)
+            ? diffJson(before[key], after[key], [...tokens, key])
+            : [{ op: 'set', tokens: [...tokens, key], value: after[key] }]))
+    ];
+}
+
+/**
+ * Leading whitespace of the line containing offset
+ */
+function getLineIndent(text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Serialize value for insertion into text: multi-line values are indented
+ * relative to lineIndent, inline ones use single-line `[a, b]` style
+ */
+function stringifyValue(value, { multiline, indent, lineIndent }) {
+    if (value === null || typeof value !== 'object') {
+        return JSON.stringify(value);
+    }
+    if (multiline) {
+        return JSON.stringify(value, null, indent).replace(/\n/g, `\n${lineIndent}`);
+    }
+    return Array.isArray(value)
+        ? `[${value.map(item => stringifyValue(item, { multiline: false })).join(', ')}]`
+        : `{${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${stringifyValue(item, { multiline: false })}`).join(', ')}}`;
+}
+
+/**
+ * Apply one edit operation to JSON text, touching only the changed member
+ */
+function applyEdit(text, { op, tokens, value }, indent) {
+    if (tokens.length === 0) {
+        return stringifyValue(value, { multiline: true, indent, lineIndent: '' });
+    }
+
+    const key = tokens[tokens.length - 1];
+    const parent = tokens.slice(0, -1).reduce((node, token) => node.members.find(member => member.key === token).value, parseJsonSpans(text));
+
+    const index = parent.members.findIndex(member => member.key === key);
+    const member = parent.members[index];
+    const parentMultiline = text.slice(parent.start, parent.end).includes('\n');
+
+    if (op === 'remove') {
+        if (index > 0) {
+            return text.slice(0, parent.members[index - 1].value.end) + text.slice(member.value.end);
+        }
+        const next = parent.members[index + 1];
+        return next
+            ? text.slice(0, member.keyStart) + text.slice(next.keyStart)
+            : text.slice(0, parent.start + 1) + text.slice(parent.end - 1);
+    }
+
+    if (member) {
+        const original = text.slice(member.value.start, member.value.end);
+        const multiline = member.value.type === 'value' ? parentMultiline : original.includes('\n');
+        const replacement = stringifyValue(value, { multiline, indent, lineIndent: getLineIndent(text, member.keyStart) });
+        return text.slice(0, member.value.start) + replacement + text.slice(member.value.end);
+    }
+
+    // New member goes last, with the separators of the existing ones
+    const first = parent.members[0];
+    const last = parent.members[parent.members.length - 1];
+    const keyIndent = first ? getLineIndent(text, first.keyStart) : `${getLineIndent(text, parent.start)}${indent}`;
+    const entry = `${JSON.stringify(key)}: ${stringifyValue(value, { multiline: parentMultiline, indent, lineIndent: keyIndent })}`;
+
+    if (!last) {
+        return text.slice(0, parent.start + 1) + entry + text.slice(parent.end - 1);
+    }
+    const separator = text.slice(parent.start + 1, first.keyStart);
+    return `${text.slice(0, last.value.end)},${separator || ' '}${entry}${text.slice(last.value.end)}`;
+}
+
+/**
+ * Render unified diff hunks (@@ headers, 3 lines of context) between two texts
+ */
+function formatLineDiff(oldText, newText, context = 3) {
+    const toLines = text => (text.endsWith('\n') ? text.slice(0, -1) : text).split('\n');
+    const a = toLines(oldText);
+    const b = toLines(newText);
+
+    // Longest common subsequence table
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    // Edit script; each run of changes lists removed lines before added ones
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            ops.push({ type: ' ', text: a[i], oldLine: i++, newLine: j++ });
+            continue;
+        }
+        const removed = [];
+        const added = [];
+        while ((i < a.length || j < b.length) && !(i < a.length && j < b.length && a[i] === b[j])) {
+            if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                removed.push({ type: '-', text: a[i], oldLine: i++, newLine: j });
+            } else {
+                added.push({ type: '+', text: b[j], oldLine: i, newLine: j++ });
+            }
+        }
+        ops.push(...removed, ...added);
+    }
+
+    // Group changes closer than 2 * context lines into one hunk
+    const hunks = [];
+    ops.forEach((line, index) => {
+        if (line.type === ' ') {
+            return;
+        }
+        const from = Math.max(0, index - context);
+        const to = Math.min(ops.length, index + context + 1);
+        const current = hunks[hunks.length - 1];
+        if (current && from <= current.to) {
+            current.to = to;
+        } else {
+            hunks.push({ from, to });
+        }
+    });
+
+    return hunks.map(({ from, to }) => {
+        const lines = ops.slice(from, to);
+        const oldCount = lines.filter(line => line.type !== '+').length;
+        const newCount = lines.filter(line => line.type !== '-').length;
+        // Empty ranges point at the line before, as in diff -u
+        const oldStart = oldCount > 0 ? lines[0].oldLine + 1 : lines[0].oldLine;
+        const newStart = newCount > 0 ? lines[0].newLine + 1 : lines[0].newLine;
+        return [
+            `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+            ...lines.map(line => `${line.type}${line.text}`)
+        ].join('\n');
+    }).join('\n');
+}
+
+/**
+ * Applies fixes derived from the JSON Schema and semantic lint rules
+ */
+class ModuleFixer {
+    constructor(validator) {
+        this.validator = validator;
+    }
+
+    /**
+     * Fix module data in place.
+     * Returns { changes: [{ path, from, to, reason }], unfixed: [findings] }.
+     */
+    fix(moduleData) {
+        const changes = [];
+
+        const getParent = (tokens) => tokens.reduce((target, token) => (target == null ? undefined : target[token]), moduleData);
+
+        // Parents are never created: a missing section is a schema error the author has to resolve
+        const set = (pointer, value, reason) => {
+            const tokens = parsePointer(pointer);
+            const key = tokens.pop();
+            const parent = getParent(tokens);
+            const from = parent?.[key];
+
+            if (parent == null || JSON.stringify(from) === JSON.stringify(value)) {
+                return;
+            }
+
+            parent[key] = value;
+            changes.push({ path: pointer, from, to: value, reason });
+        };
+
+        const remove = (pointer, reason) => {
+            const tokens = parsePointer(pointer);
+            const key = tokens.pop();
+            const parent = getParent(tokens);
+
+            changes.push({ path: pointer, from: parent[key], to: undefined, reason });
+            delete parent[key];
+        };
+
+        this.dropUnknownProperties(moduleData, remove);
+        this.normalizeTags(moduleData, set);
+
+        let unfixed = [];
+        if (NAME_PATTERN.test(moduleData.name || '')) {
+            unfixed = this.validator.rules.fix(moduleData, (pointer, value) => set(pointer, value, 'lint rule'));
+        } else {
+            unfixed.push({ rule: 'name', path: '/name', message: 'Module name is not valid kebab-case - derived fields were not fixed' });
+        }
+
+        if (changes.length > 0 && moduleData.status) {
+            set('/status/last_updated', new Date().toISOString().split('T')[0], 'module changed');
+        }
+
+        return { changes, unfixed };
+    }
+
+    /**
+     * Remove properties rejected by `additionalProperties: false`
+     */
+    dropUnknownProperties(moduleData, remove) {
+        const validate = this.validator.getValidator(moduleData);
+        if (!validate) {
+            return;
+        }
+        validate(moduleData);
+
+        (validate.errors || [])
+            .filter(error => error.keyword === 'additionalProperties')
+            .forEach(error => {
+                const property = error.params.additionalProperty.replace(/~/g, '~0').replace(/\//g, '~1');
+                remove(`${error.instancePath}/${property}`, 'not allowed by schema');
+            });
+    }
+
+    /**
+     * Normalize tags to unique kebab-case values
+     */
+    normalizeTags(moduleData, set) {
+        const tags = moduleData.metadata?.tags;
+        if (!Array.isArray(tags)) {
+            return;
+        }
+
+        const normalized = [...new Set(tags.map(toKebabCase).filter(tag => tag.length > 0))];
+        set('/metadata/tags', normalized, 'tags must be kebab-case');
+    }
+
+    /**
+     * Serialize fixed module as minimal edits to the original file, so members
+     * that didn't change keep their formatting
+     */
+    serialize(moduleData, originalText) {
+        const indent = detectIndent(originalText);
+        const edited = diffJson(JSON.parse(originalText), moduleData)
+            .reduce((text, edit) => applyEdit(text, edit, indent), originalText);
+
+        if (diffJson(JSON.parse(edited), moduleData).length === 0) {
+            return edited;
+        }
+
+        // Safety net: never write a file that doesn't match the fixed data
+        const trailingNewline = originalText.endsWith('\n') ? '\n' : '';
+        return JSON.stringify(moduleData, null, indent) + trailingNewline;
+    }
+}
+
+module.exports = { ModuleFixer, formatLineDiff, toKebabCase };
@@ -0,0 +1,83 @@
+/**
+ * Learning path graph for InfoTech.io Platform
+ * Nodes are module ids; an edge a -> b means module a comes before module b.
+ * Edges are taken from `prerequisites` (incoming) and `next` (outgoing) of each module.
+ */
+
+/**
+ * Build adjacency map from { id: { prerequisites, next } }.
+ * Returns { edges, references } where references list every link with its source field.
+ */
+function buildGraph(modules) {
+    const edges = new Map(Object.keys(modules).map(id => [id, new Set()]));
+    const references = [];
+
+    Object.entries(modules).forEach(([id, { prerequisites = [], next = [] }]) => {
+        prerequisites.forEach(ref => {
+            references.push({ from: id, field: 'prerequisites', ref });
+            edges.get(ref)?.add(id);
+        });
+        next.forEach(ref => {
+            references.push({ from: id, field: 'next', ref });
+            if (edges.has(ref)) {
+                edges.get(id).add(ref);
+            }
+        });
+    });
+
+    return { edges, references };
+}
+
+/**
+ * References to modules missing from the graph or to the module itself
+ */
+function findInvalidReferences(modules) {
+    const { edges, references } = buildGraph(modules);
+    return references.filter(({ from, ref }) => ref === from || !edges.has(ref));
+}
+
+/**
+ * Find one cycle as a list of ids (first id repeated at the end), or null
+ */
+function findCycle(modules) {
+    const { edges } = buildGraph(modules);
+    const state = new Map();
+    const stack = [];
+
+    const visit = (id) => {
+        state.set(id, 'visiting');
+        stack.push(id);
+
+        for (const target of edges.get(id)) {
+            if (target === id) {
+                continue; // reported as an invalid reference
+            }
+            if (state.get(target) === 'visiting') {
+                return [...stack.slice(stack.indexOf(target)), target];
+            }
+            if (!state.has(target)) {
+                const cycle = visit(target);
+                if (cycle) {
+                    return cycle;
+                }
+            }
+        }
+
+        stack.pop();
+        state.set(id, 'done');
+        return null;
+    };
+
+    for (const id of edges.keys()) {
+        if (!state.has(id)) {
+            const cycle = visit(id);
+            if (cycle) {
+                return cycle;
+            }
+        }
+    }
+
+    return null;
+}
+
+module.exports = { buildGraph, findInvalidReferences, findCycle };
@@ -0,0 +1,221 @@
+/**
+ * Module Initializer for InfoTech.io Platform
+ * Builds a new module.json from flags or interactive answers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { toKebabCase } = require('./module-fixer.js');
+
+// Answers collected by `validate-module.js init`, in prompt order.
+// `enum` points into the module schema so prompts list the allowed values.
+const INIT_FIELDS = [
+    { key: 'name', flag: '--name', prompt: 'Module name (kebab-case, e.g. linux-base)', required: true },
+    { key: 'title', flag: '--title', prompt: 'Title', required: true },
+    { key: 'description', flag: '--description', prompt: 'Description (20-500 characters)', required: true },
+    { key: 'type', flag: '--type', prompt: 'Type', default: 'educational', enum: ['properties', 'type'] },
+    { key: 'difficulty', flag: '--difficulty', prompt: 'Difficulty', default: 'beginner', enum: ['properties', 'metadata', 'properties', 'difficulty'] },
+    { key: 'language', flag: '--language', prompt: 'Language', default: 'ru', enum: ['properties', 'metadata', 'properties', 'language'] },
+    { key: 'estimated_time', flag: '--estimated-time', prompt: 'Estimated time (e.g. 20 hours)', default: '20 hours' },
+    { key: 'author', flag: '--author', prompt: 'Author', default: 'InfoTech.io Team' },
+    { key: 'license', flag: '--license', prompt: 'License', default: 'MIT', enum: ['properties', 'metadata', 'properties', 'license'] },
+    { key: 'tags', flag: '--tags', prompt: 'Tags (comma-separated)', required: true, list: true },
+    { key: 'components', flag: '--components', prompt: 'Components (comma-separated)', default: 'quiz-engine', list: true, enum: ['properties', 'hugo_config', 'properties', 'components', 'items'] },
+    { key: 'build_system', flag: '--build-system', prompt: 'Build system', default: 'hugo-base', enum: ['properties', 'deployment', 'properties', 'build_system'] }
+];
+
+// Starter page text per module language (metadata.language); unknown languages get English
+const SKELETON_TEXT = {
+    ru: { introduction: 'Введение', welcome: title => `Добро пожаловать в модуль «${title}».` },
+    en: { introduction: 'Introduction', welcome: title => `Welcome to the “${title}” module.` },
+    es: { introduction: 'Introducción', welcome: title => `Bienvenido al módulo «${title}».` },
+    fr: { introduction: 'Introduction', welcome: title => `Bienvenue dans le module « ${title} ».` },
+    de: { introduction: 'Einführung', welcome: title => `Willkommen im Modul „${title}“.` },
+    zh: { introduction: '简介', welcome: title => `欢迎学习“${title}”模块。` }
+};
+
+/**
+ * Split comma-separated list answer
+ */
+function parseList(value) {
+    return String(value)
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item.length > 0);
+}
+
+/**
+ * Creates module.json files and starter content
+ */
+class ModuleInitializer {
+    constructor(validator) {
+        this.validator = validator;
+    }
+
+    /**
+     * Allowed values for field from the module schema
+     */
+    getChoices(field) {
+        if (!field.enum) {
+            return null;
+        }
+        const schema = field.enum.reduce((node, key) => node?.[key], this.validator.schema);
+        return schema?.enum || null;
+    }
+
+    /**
+     * Collect answers from flags, prompting for missing ones when interactive.
+     * Throws when a required answer is missing in non-interactive mode.
+     */
+    async collectAnswers(args, { interactive = false } = {}) {
+        const answers = {};
+        const missing = [];
+        let rl = null;
+        let lines = null;
+
+        // Read answers through the line iterator so piped input isn't lost between prompts
+        const ask = async (question) => {
+            if (!rl) {
+                rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+                lines = rl[Symbol.asyncIterator]();
+            }
+
+            process.stderr.write(question);
+            const { value, done } = await lines.next();
+            return done ? '' : value;
+        };
+
+        try {
+            for (const field of INIT_FIELDS) {
+                const flagIndex = args.indexOf(field.flag);
+                let value = flagIndex !== -1 ? args[flagIndex + 1] : undefined;
+
+                if (value === undefined && interactive) {
+                    const choices = this.getChoices(field);
+                    const hint = [choices && choices.join('/'), field.default && `default: ${field.default}`]
+                        .filter(Boolean)
+                        .join(', ');
+                    const answer = (await ask(`${field.prompt}${hint ? ` [${hint}]` : ''}: `)).trim();
+                    value = answer || undefined;
+                }
+
+                if (value === undefined) {
+                    value = field.default;
+                }
+
+                if (value === undefined && field.required) {
+                    missing.push(field.flag);
+                    continue;
+                }
+
+                answers[field.key] = field.list ? parseList(value) : value;
+            }
+        } finally {
+            if (rl) {
+                rl.close();
+            }
+        }
+
+        if (missing.length > 0) {
+            throw new Error(`Missing required options: ${missing.join(', ')}`);
+        }
+
+        return answers;
+    }
+
+    /**
+     * Build module.json data with deployment, urls and repository derived from name
+     */
+    buildModule(answers) {
+        const { platform } = this.validator.rules;
+        const name = toKebabCase(answers.name);
+        const repository = `mod_${name.replace(/-/g, '_')}`;
+
+        return {
+            schema_version: '1.1',
+            name,
+            title: answers.title,
+            description: answers.description,
+            version: '0.1.0',
+            type: answers.type,
+
+            deployment: {
+                subdomain: name,
+                repository,
+                build_system: answers.build_system
+            },
+
+            hugo_config: {
+                template: 'default',
+                theme: 'compose',
+                components: answers.components,
+                hugo_version: platform.hugo_version
+            },
+
+            metadata: {
+                author: answers.author,
+                license: answers.license,
+                difficulty: answers.difficulty,
+                estimated_time: answers.estimated_time,
+                language: answers.language,
+                tags: [...new Set(answers.tags.map(toKebabCase))]
+            },
+
+            urls: {
+                production: `https://${name}.${platform.domain}`,
+                repository: `https://github.com/${platform.github_org}/${repository}`,
+                issues: `https://github.com/${platform.github_org}/${repository}/issues`
+            },
+
+            status: {
+                lifecycle: 'development',
+                last_updated: new Date().toISOString().split('T')[0],
+                content_complete: false
+            }
+        };
+    }
+
+    /**
+     * Create starter Hugo content/ skeleton. Existing files are left untouched.
+     * Returns paths of created files.
+     */
+    createContentSkeleton(dir, moduleData) {
+        const text = SKELETON_TEXT[moduleData.metadata?.language] || SKELETON_TEXT.en;
+        const files = {
+            'content/_index.md': [
+                '---',
+                `title: "${moduleData.title.replace(/"/g, '\\"')}"`,
+                '---',
+                '',
+                moduleData.description,
+                ''
+            ],
+            'content/01-introduction/_index.md': [
+                '---',
+                `title: "${text.introduction}"`,
+                'weight: 1',
+                '---',
+                '',
+                text.welcome(moduleData.title),
+                ''
+            ]
+        };
+
+        const created = [];
+        Object.entries(files).forEach(([relativePath, lines]) => {
+            const filePath = path.join(dir, relativePath);
+            if (fs.existsSync(filePath)) {
+                return;
+            }
+
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, lines.join('\n'), 'utf8');
+            created.push(filePath);
+        });
+
+        return created;
+    }
+}
+
+module.exports = { ModuleInitializer, INIT_FIELDS };
@@ -0,0 +1,116 @@
+/**
+ * Module health status for InfoTech.io Platform
+ * status.json is generated next to modules.json and keyed by registry key:
+ * the last build result of each module and the reachability of its production URL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const STATUS_PATH = path.join(__dirname, '../status.json');
+const BUILD_STATUSES = ['success', 'failure'];
+const COMMIT_PATTERN = /^[0-9a-f]{7,40}$/i;
+
+/**
+ * Format date as status timestamp (ISO 8601 without milliseconds)
+ */
+function formatTimestamp(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Load status file, or an empty status when it doesn't exist yet
+ */
+function loadStatus(statusPath = STATUS_PATH) {
+    if (!fs.existsSync(statusPath)) {
+        return { generated_at: null, modules: {} };
+    }
+
+    const status = JSON.parse(fs.readFileSync(statusPath, 'utf8'));
+    return { ...status, modules: status.modules || {} };
+}
+
+/**
+ * Write status file with modules sorted by key
+ */
+function saveStatus(status, statusPath = STATUS_PATH) {
+    const modules = Object.fromEntries(Object.entries(status.modules).sort(([a], [b]) => a.localeCompare(b)));
+    const data = { ...status, generated_at: formatTimestamp(new Date()), modules };
+    fs.writeFileSync(statusPath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * Record build result { status, commit, duration_ms, finished_at } for module.
+ * Throws on malformed values so CI doesn't publish garbage.
+ */
+function recordBuild(status, key, build) {
+    if (!BUILD_STATUSES.includes(build.status)) {
+        throw new Error(`Build status must be one of: ${BUILD_STATUSES.join(', ')}`);
+    }
+    if (build.commit && !COMMIT_PATTERN.test(build.commit)) {
+        throw new Error(`Invalid commit SHA: ${build.commit}`);
+    }
+    if (build.duration_ms !== undefined && !(Number.isFinite(build.duration_ms) && build.duration_ms >= 0)) {
+        throw new Error(`Invalid build duration: ${build.duration_ms}`);
+    }
+
+    status.modules[key] = {
+        ...status.modules[key],
+        build: {
+            status: build.status,
+            ...(build.commit && { commit: build.commit.toLowerCase() }),
+            finished_at: build.finished_at || formatTimestamp(new Date()),
+            ...(build.duration_ms !== undefined && { duration_ms: build.duration_ms })
+        }
+    };
+    return status.modules[key];
+}
+
+/**
+ * Record result of checkUrl() for module
+ */
+function recordReachability(status, key, reachability) {
+    status.modules[key] = { ...status.modules[key], reachability };
+    return status.modules[key];
+}
+
+/**
+ * Send HEAD request to url. Servers that don't allow HEAD are retried with GET.
+ * Resolves (never rejects) with { url, reachable, http_status, response_time_ms, checked_at, error }.
+ */
+function checkUrl(url, { timeout = 10000 } = {}) {
+    const startedAt = Date.now();
+    const checkedAt = formatTimestamp(new Date(startedAt));
+
+    const request = (method) => new Promise((resolve, reject) => {
+        const client = url.startsWith('http://') ? http : https;
+        const req = client.request(url, { method, timeout }, (res) => {
+            res.resume();
+            resolve(res.statusCode);
+        });
+        req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeout}ms`)));
+        req.on('error', reject);
+        req.end();
+    });
+
+    return request('HEAD')
+        .then(statusCode => (statusCode === 405 || statusCode === 501 ? request('GET') : statusCode))
+        .then(statusCode => ({
+            url,
+            reachable: statusCode < 400,
+            http_status: statusCode,
+            response_time_ms: Date.now() - startedAt,
+            checked_at: checkedAt
+        }))
+        .catch(error => ({
+            url,
+            reachable: false,
+            response_time_ms: Date.now() - startedAt,
+            checked_at: checkedAt,
+            error: error.message
+        }));
+}
+
+module.exports = { STATUS_PATH, BUILD_STATUSES, loadStatus, saveStatus, recordBuild, recordReachability, checkUrl };
@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+
+/**
+ * Hub Pre-renderer for InfoTech.io Platform
+ * Renders the course catalog into content/index.html at build time so search
+ * engines see the courses (ModulesLoader still re-renders them in the browser),
+ * adds schema.org Course JSON-LD per module and writes sitemap.xml. The catalog
+ * it rendered from is written next to the page as modules.json, so the cards
+ * ModulesLoader re-renders carry the same metadata.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Logger } = require('./scan-modules.js');
+const { escapeXml, readCatalog } = require('./generate-feeds.js');
+
+// Configuration
+const CENTRAL_MODULES_PATH = path.join(__dirname, '../modules.json');
+const CONTENT_DIR = path.join(__dirname, '../content');
+// content/index.html is the tracked source page, rendered copies go here unless --out-dir says otherwise
+const DEFAULT_OUT_DIR = path.join(__dirname, '../dist');
+const DEFAULT_DOMAIN = 'infotecha.ru';
+const LABEL_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Same rules as ModulesLoader in content/modules.js
+const LISTED_STATUSES = ['active', 'deprecated'];
+const DIFFICULTY_ORDER = ['beginner', 'intermediate', 'advanced', 'expert'];
+const CATEGORY_ICONS = {
+    'devops': '⚙️',
+    'programming': '💻',
+    'web-development': '🌐',
+    'data-science': '📊',
+    'design': '🎨',
+    'mobile': '📱'
+};
+
+/**
+ * Load HubI18n from content/i18n.js so pre-rendered labels match the browser ones
+ */
+function loadI18n(locale = 'ru') {
+    const context = {
+        Intl,
+        localStorage: { getItem: () => locale, setItem() {} },
+        navigator: { languages: [locale] }
+    };
+    const source = fs.readFileSync(path.join(CONTENT_DIR, 'i18n.js'), 'utf8');
+    return vm.runInNewContext(`${source}\nnew HubI18n();`, context);
+}
+
+/**
+ * JSON for <script type="application/ld+json">: "<" is escaped so data can't close the tag
+ */
+function toScriptJson(value) {
+    return JSON.stringify(value, null, 2).replace(/</g, '\\u003c');
+}
+
+/**
+ * Renders catalog markup, JSON-LD and sitemap from catalog data
+ */
+class HubPrerenderer {
+    constructor(data, { i18n = loadI18n() } = {}) {
+        this.i18n = i18n;
+        this.platformName = data.platform?.name || 'InfoTech.io';
+        this.domain = data.platform?.domain || DEFAULT_DOMAIN;
+        this.homeUrl = `https://${this.domain}/`;
+        this.lastUpdated = data.last_updated || data.generated_at;
+        this.modules = this.collectModules(data);
+    }
+
+    /**
+     * Listed modules as [key, module] in the default catalog order:
+     * deprecated last, then courses in the page language, then by title
+     */
+    collectModules(data) {
+        const modules = data.modules || {};
+        const entries = Array.isArray(modules)
+            ? modules.map(module => [(module.repository || module.content_repo || '').replace(/^mod_/, '') || String(module.name).replace(/-/g, '_'), module])
+            : Object.entries(modules);
+
+        const locale = this.i18n.locale;
+        const rank = ([, module]) => (module.status === 'deprecated' ? 2 : 0) + (module.language === locale ? 0 : 1);
+
+        return entries
+            .filter(([key, module]) => LISTED_STATUSES.includes(module.status || 'active'))
+            .map(([key, module]) => [key, this.normalizeModule(key, module)])
+            .sort((a, b) => rank(a) - rank(b) || String(a[1].title).localeCompare(String(b[1].title)));
+    }
+
+    /**
+     * Fields used by the page, as ModulesLoader.normalizeModule() reads them
+     */
+    normalizeModule(key, module) {
+        const translation = module.translations?.[this.i18n.locale] || {};
+
+        return {
+            // Registry `name` is the title, unified `name` is the module id
+            title: translation.title || translation.name || module.title || module.name,
+            description: translation.description || module.description || '',
+            subdomain: LABEL_PATTERN.test(module.subdomain || '') ? module.subdomain : key.replace(/_/g, '-'),
+            status: module.status || 'active',
+            version: module.version,
+            difficulty: module.difficulty,
+            estimated_time: module.estimated_time || module.duration,
+            language: module.language,
+            lifecycle: module.lifecycle,
+            tags: Array.isArray(module.tags) ? module.tags : [],
+            replacement: module.replacement ? String(module.replacement).replace(/-/g, '_') : null,
+            category: module.category,
+            author: module.author,
+            last_updated: module.last_updated
+        };
+    }
+
+    getModuleUrl(module) {
+        return `https://${module.subdomain}.${this.domain}/`;
+    }
+
+    getDetailHash(key) {
+        return `#/module/${encodeURIComponent(key)}`;
+    }
+
+    translateValue(prefix, value) {
+        const key = `${prefix}.${value}`;
+        const label = this.i18n.t(key);
+        return label === key ? value : label;
+    }
+
+    formatEstimatedTime(estimatedTime) {
+        const match = String(estimatedTime).match(/^(\d+)\s+(hour|day|week)s?$/);
+        return match ? this.i18n.plural(`time.${match[2]}`, Number(match[1])) : String(estimatedTime);
+    }
+
+    /**
+     * Card markup mirroring ModulesLoader.createModuleCard()
+     */
+    renderCard(key, module) {
+        const e = escapeXml;
+        const meta = [];
+        if (module.difficulty) {
+            const level = DIFFICULTY_ORDER.includes(module.difficulty) ? ` difficulty-${e(module.difficulty)}` : '';
+            meta.push(`<span class="course-difficulty${level}">${e(this.translateValue('difficulty', module.difficulty))}</span>`);
+        }
+        if (module.estimated_time) {
+            meta.push(`<span class="course-duration">${e(this.formatEstimatedTime(module.estimated_time))}</span>`);
+        }
+        if (module.language) {
+            meta.push(`<span class="course-language">${e(this.translateValue('language', module.language))}</span>`);
+        }
+
+        const content = [];
+        const lifecycleLabel = this.translateValue('lifecycle', module.lifecycle);
+        if (module.lifecycle && lifecycleLabel !== module.lifecycle) {
+            content.push(`<span class="course-badge course-badge-${e(module.lifecycle)}">${e(lifecycleLabel)}</span>`);
+        }
+        content.push(`<h3 class="course-title"><a href="${e(this.getDetailHash(key))}">${e(module.title)}</a></h3>`);
+        content.push(`<p class="course-description">${e(module.description || '')}</p>`);
+        if (module.tags.length > 0) {
+            content.push(`<div class="course-tags">${module.tags.map(tag => `<span class="course-tag">${e(tag)}</span>`).join('')}</div>`);
+        }
+
+        const info = [];
+        const updated = new Date(module.last_updated);
+        if (!isNaN(updated)) {
+            info.push(`<span class="course-updated">${e(this.i18n.t('card.updated', { date: this.i18n.formatDate(updated) }))}</span>`);
+        }
+        if (module.version) {
+            info.push(`<span class="course-version">v${e(module.version)}</span>`);
+        }
+
+        const lines = [
+            `<article class="course-card${module.status === 'deprecated' ? ' course-card-deprecated' : ''}">`,
+            ...this.renderDeprecationBanner(module),
+            '    <div class="course-header">',
+            `        <div class="course-icon">${CATEGORY_ICONS[module.category] || '📚'}</div>`,
+            `        <div class="course-meta">${meta.join('')}</div>`,
+            '    </div>',
+            '    <div class="course-content">',
+            ...content.map(line => `        ${line}`),
+            '    </div>',
+            '    <div class="course-footer">',
+            `        <div class="course-info">${info.join('')}</div>`,
+            `        <a class="course-button" href="${e(this.getModuleUrl(module))}" target="_blank" rel="noopener noreferrer">${e(this.i18n.t('card.open'))}</a>`,
+            '    </div>',
+            '</article>'
+        ];
+        return lines.join('\n');
+    }
+
+    renderDeprecationBanner(module) {
+        if (module.status !== 'deprecated') {
+            return [];
+        }
+
+        const replacement = this.modules.find(([key]) => key === module.replacement);
+        const link = replacement
+            ? ` ${escapeXml(this.i18n.t('deprecated.replacement'))} <a href="${escapeXml(this.getDetailHash(replacement[0]))}">${escapeXml(replacement[1].title)}</a>`
+            : '';
+        return [`    <div class="deprecation-banner" role="note">${escapeXml(this.i18n.t('deprecated.notice'))}${link}</div>`];
+    }
+
+    /**
+     * schema.org Course for module
+     */
+    toCourse(key, module) {
+        const provider = { '@type': 'Organization', name: this.platformName, url: this.homeUrl };
+
+        return {
+            '@context': 'https://schema.org',
+            '@type': 'Course',
+            '@id': this.getModuleUrl(module),
+            name: module.title,
+            ...(module.description && { description: module.description }),
+            url: this.getModuleUrl(module),
+            ...(module.language && { inLanguage: module.language }),
+            ...(module.difficulty && { educationalLevel: module.difficulty }),
+            ...(module.tags.length > 0 && { keywords: module.tags.join(', ') }),
+            ...(module.version && { version: module.version }),
+            ...(module.last_updated && { dateModified: module.last_updated }),
+            author: module.author ? { '@type': 'Organization', name: module.author } : provider,
+            provider
+        };
+    }
+
+    renderJsonLd() {
+        return this.modules
+            .map(([key, module]) => `<script type="application/ld+json">\n${toScriptJson(this.toCourse(key, module))}\n</script>`)
+            .join('\n');
+    }
+
+    /**
+     * sitemap.xml with the hub and every listed module subdomain
+     */
+    renderSitemap() {
+        const lastmod = value => {
+            const date = new Date(value);
+            return isNaN(date) ? null : date.toISOString().slice(0, 10);
+        };
+        // Hub page changes whenever the registry or any listed course does
+        const hubUpdated = [this.lastUpdated, ...this.modules.map(([key, module]) => module.last_updated)]
+            .map(value => Date.parse(value))
+            .filter(time => !isNaN(time));
+        const urls = [
+            { loc: this.homeUrl, lastmod: hubUpdated.length > 0 ? lastmod(Math.max(...hubUpdated)) : null, priority: '1.0' },
+            ...this.modules.map(([key, module]) => ({
+                loc: this.getModuleUrl(module),
+                lastmod: lastmod(module.last_updated),
+                priority: module.status === 'deprecated' ? '0.3' : '0.8'
+            }))
+        ];
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+            ...urls.map(url => [
+                '  <url>',
+                `    <loc>${escapeXml(url.loc)}</loc>`,
+                ...(url.lastmod ? [`    <lastmod>${url.lastmod}</lastmod>`] : []),
+                `    <priority>${url.priority}</priority>`,
+                '  </url>'
+            ].join('\n')),
+            '</urlset>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Fill <!-- prerender:<name> --> blocks of index.html. Re-running replaces
+     * the previous output, so the page can be rendered again from a new registry.
+     */
+    renderPage(html) {
+        if (this.modules.length === 0) {
+            return html;
+        }
+
+        const indent = (text, spaces) => text.split('\n').map(line => (line ? ' '.repeat(spaces) + line : line)).join('\n');
+        const cards = this.modules.map(([key, module]) => this.renderCard(key, module)).join('\n');
+
+        let page = this.replaceBlock(html, 'jsonld', indent(this.renderJsonLd(), 4));
+        page = this.replaceBlock(page, 'courses', indent(cards, 16));
+
+        // Курсы видны без JavaScript; ModulesLoader не показывает индикатор загрузки поверх них
+        return page
+            .replace(/<div id="loading"[^>]*>/, '<div id="loading" class="loading" style="display: none;">')
+            .replace(/<div id="courses-grid"[^>]*>/, '<div id="courses-grid" class="courses-grid" data-prerendered style="display: grid;">');
+    }
+
+    replaceBlock(html, name, content) {
+        const pattern = new RegExp(`(<!-- prerender:${name} -->)[\\s\\S]*?([ \\t]*<!-- /prerender:${name} -->)`);
+        if (!pattern.test(html)) {
+            throw new Error(`Marker <!-- prerender:${name} --> not found in index.html`);
+        }
+        return html.replace(pattern, (match, start, end) => `${start}\n${content}\n${end}`);
+    }
+}
+
+/**
+ * CLI Interface
+ */
+function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log(`
+Hub Pre-renderer for InfoTech.io Platform
+
+USAGE:
+  prerender-hub.js [options]               Render the catalog into index.html, write sitemap.xml
+                                           and the rendered catalog as modules.json
+
+EXAMPLES:
+  prerender-hub.js
+  prerender-hub.js --metadata unified-modules.json
+  prerender-hub.js --out-dir content
+
+OPTIONS:
+  --input <path>     Registry or unified 2.0 catalog (default: modules.json)
+  --metadata <path>  Unified 2.0 output of scan-modules.js --output json; adds
+                     module.json language, difficulty, author etc. to registry entries
+  --out-dir <dir>    Where to write index.html, sitemap.xml and modules.json (default: dist;
+                     --out-dir content renders the source page in place)
+  --help, -h         Show help
+        `);
+        process.exit(0);
+    }
+
+    const inputPath = args.includes('--input') ? path.resolve(args[args.indexOf('--input') + 1]) : CENTRAL_MODULES_PATH;
+    const metadataPath = args.includes('--metadata') ? path.resolve(args[args.indexOf('--metadata') + 1]) : null;
+    const outDir = args.includes('--out-dir') ? path.resolve(args[args.indexOf('--out-dir') + 1]) : DEFAULT_OUT_DIR;
+
+    let data;
+    let html;
+    try {
+        data = readCatalog(inputPath, metadataPath);
+        html = fs.readFileSync(path.join(CONTENT_DIR, 'index.html'), 'utf8');
+    } catch (error) {
+        Logger.error(error.message);
+        process.exit(1);
+    }
+
+    const prerenderer = new HubPrerenderer(data);
+
+    // Without module.json metadata the JSON-LD loses inLanguage, educationalLevel and author
+    const incomplete = prerenderer.modules
+        .filter(([key, module]) => !module.language || !module.difficulty || !module.author)
+        .map(([key]) => key);
+    if (incomplete.length > 0) {
+        Logger.warning(`No language, difficulty or author for ${incomplete.join(', ')}: structured data is incomplete (use --metadata)`);
+    }
+
+    let page;
+    try {
+        page = prerenderer.renderPage(html);
+    } catch (error) {
+        Logger.error(error.message);
+        process.exit(1);
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, 'index.html'), page, 'utf8');
+    fs.writeFileSync(path.join(outDir, 'sitemap.xml'), prerenderer.renderSitemap(), 'utf8');
+    // The hub fetches /modules.json: publish the catalog with merged metadata, not the bare registry
+    fs.writeFileSync(path.join(outDir, 'modules.json'), `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+
+    Logger.success(`Rendered ${prerenderer.modules.length} course(s) into ${path.join(outDir, 'index.html')}`);
+    Logger.success(`Written ${path.join(outDir, 'sitemap.xml')}`);
+    Logger.success(`Written ${path.join(outDir, 'modules.json')}`);
+}
+
+// Export for testing
+module.exports = { HubPrerenderer, loadI18n };
+
+// Run CLI if called directly
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,231 @@
+/**
+ * Catalog diff and changelog for InfoTech.io Platform
+ * Compares two catalogs - the keyed registry (modules.json) or the unified 2.0
+ * array from scan-modules.js - and walks git history of modules.json.
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const DIFF_FORMATS = ['markdown', 'json'];
+
+// Compared fields; last_updated is left out so timestamp bumps don't show up as changes
+const DIFF_FIELDS = ['title', 'description', 'version', 'status', 'lifecycle', 'tags', 'hugo_config'];
+
+/**
+ * Catalog as Map of key -> comparable fields, with `format` set to 'registry' or 'unified'.
+ * Registry entries are keyed by snake_case key, unified modules by repository.
+ * Modules without a status are active in both formats, as the hub lists them.
+ */
+function normalizeCatalog(data) {
+    const catalog = new Map();
+    const modules = data?.modules || {};
+
+    if (Array.isArray(modules)) {
+        catalog.format = 'unified';
+        modules.forEach(module => {
+            const key = (module.repository || module.content_repo || '').replace(/^mod_/, '') ||
+                String(module.name).replace(/-/g, '_');
+            catalog.set(key, pickFields({ ...module, title: module.title || module.name, status: module.status || 'active' }));
+        });
+    } else {
+        catalog.format = 'registry';
+        Object.entries(modules).forEach(([key, entry]) => {
+            // Registry `name` is the module title
+            catalog.set(key, pickFields({ ...entry, title: entry.name, status: entry.status || 'active' }));
+        });
+    }
+
+    return catalog;
+}
+
+function pickFields(module) {
+    return Object.fromEntries(DIFF_FIELDS
+        .filter(field => module[field] !== undefined)
+        .map(field => [field, module[field]]));
+}
+
+/**
+ * Compare two catalogs. Returns { added, removed, changed } where changed
+ * entries list { field, from, to } for every differing field. Across formats
+ * only fields both entries have are compared: the registry has no version or
+ * tags and unified output no registry extras, which is no change of the module.
+ */
+function diffCatalogs(oldData, newData) {
+    const oldCatalog = normalizeCatalog(oldData);
+    const newCatalog = normalizeCatalog(newData);
+    const crossFormat = oldCatalog.format !== newCatalog.format;
+    const diff = { added: [], removed: [], changed: [] };
+
+    newCatalog.forEach((module, key) => {
+        const previous = oldCatalog.get(key);
+        if (!previous) {
+            diff.added.push({ key, module });
+            return;
+        }
+
+        const fields = DIFF_FIELDS
+            .filter(field => !crossFormat || (previous[field] !== undefined && module[field] !== undefined))
+            .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(module[field]))
+            .map(field => ({ field, from: previous[field], to: module[field] }));
+
+        if (fields.length > 0) {
+            diff.changed.push({ key, title: module.title, fields });
+        }
+    });
+
+    oldCatalog.forEach((module, key) => {
+        if (!newCatalog.has(key)) {
+            diff.removed.push({ key, module });
+        }
+    });
+
+    return diff;
+}
+
+function isEmptyDiff(diff) {
+    return diff.added.length + diff.removed.length + diff.changed.length === 0;
+}
+
+/**
+ * One Markdown line per changed field; tag lists show added and removed tags
+ */
+function formatFieldChange({ field, from, to }) {
+    if (Array.isArray(from) || Array.isArray(to)) {
+        const before = from || [];
+        const after = to || [];
+        const parts = [
+            ...after.filter(item => !before.includes(item)).map(item => `+\`${item}\``),
+            ...before.filter(item => !after.includes(item)).map(item => `-\`${item}\``)
+        ];
+        return `${field}: ${parts.length > 0 ? parts.join(' ') : 'reordered'}`;
+    }
+
+    const show = value => (value === undefined ? '—' : `\`${typeof value === 'string' ? value : JSON.stringify(value)}\``);
+    return `${field}: ${show(from)} → ${show(to)}`;
+}
+
+/**
+ * Render diff as Markdown sections under headings of given level
+ */
+function formatMarkdown(diff, { level = 2 } = {}) {
+    if (isEmptyDiff(diff)) {
+        return '_No catalog changes_';
+    }
+
+    const heading = '#'.repeat(level);
+    const describe = (key, module) => `**${module.title || key}** (\`${key}\`)${module.version ? ` v${module.version}` : ''}`;
+    const sections = [];
+
+    if (diff.added.length > 0) {
+        sections.push(`${heading} Added\n\n${diff.added.map(({ key, module }) => `- ${describe(key, module)}`).join('\n')}`);
+    }
+    if (diff.changed.length > 0) {
+        const items = diff.changed.map(({ key, title, fields }) => [
+            `- **${title || key}** (\`${key}\`)`,
+            ...fields.map(change => `  - ${formatFieldChange(change)}`)
+        ].join('\n'));
+        sections.push(`${heading} Changed\n\n${items.join('\n')}`);
+    }
+    if (diff.removed.length > 0) {
+        sections.push(`${heading} Removed\n\n${diff.removed.map(({ key, module }) => `- ${describe(key, module)}`).join('\n')}`);
+    }
+
+    return sections.join('\n\n');
+}
+
+/**
+ * Run git in the directory of the registry file
+ */
+function git(registryPath, args) {
+    return execFileSync('git', args, {
+        cwd: path.dirname(registryPath),
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024,
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+}
+
+/**
+ * Walk git history of the registry file, newest first, and diff every commit against
+ * the previous version of the file. Returns up to `limit` entries { commit, date, subject, diff };
+ * commits that don't change the catalog (e.g. timestamp bumps) are skipped, and the
+ * walk stops as soon as `limit` entries are found.
+ */
+function buildChangelog(registryPath, { limit = Infinity, onSkip = () => {} } = {}) {
+    const fileName = path.basename(registryPath);
+    const root = git(registryPath, ['rev-parse', '--show-toplevel']).trim();
+    const relativePath = path.relative(root, path.resolve(registryPath)).split(path.sep).join('/');
+
+    const commits = git(registryPath, ['log', '--format=%H%x09%cI%x09%s', '--', fileName])
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            const [commit, date, ...subject] = line.split('\t');
+            return { commit, date, subject: subject.join('\t') };
+        });
+
+    // Registry at commits[index], read once; null when unreadable. Before the first commit it is empty.
+    const versions = new Map();
+    const load = index => {
+        if (index >= commits.length) {
+            return { modules: {} };
+        }
+        if (!versions.has(index)) {
+            const { commit } = commits[index];
+            try {
+                versions.set(index, JSON.parse(git(registryPath, ['show', `${commit}:${relativePath}`])));
+            } catch (error) {
+                onSkip(commit, error);
+                versions.set(index, null);
+            }
+        }
+        return versions.get(index);
+    };
+
+    const entries = [];
+    for (let index = 0; index < commits.length && entries.length < limit; index++) {
+        const current = load(index);
+        if (!current) {
+            continue;
+        }
+
+        let parentIndex = index + 1;
+        while (!load(parentIndex)) {
+            parentIndex++;
+        }
+
+        const diff = diffCatalogs(load(parentIndex), current);
+        if (!isEmptyDiff(diff)) {
+            const { commit, date, subject } = commits[index];
+            entries.push({ commit, date, subject, diff });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Render changelog entries as a Markdown "what's new" page
+ */
+function formatChangelogMarkdown(entries) {
+    if (entries.length === 0) {
+        return '# Catalog changelog\n\n_No catalog changes_';
+    }
+
+    const sections = entries.map(({ commit, date, subject, diff }) =>
+        `## ${date.slice(0, 10)} — ${subject} (\`${commit.slice(0, 7)}\`)\n\n${formatMarkdown(diff, { level: 3 })}`);
+
+    return `# Catalog changelog\n\n${sections.join('\n\n')}`;
+}
+
+module.exports = {
+    DIFF_FORMATS,
+    DIFF_FIELDS,
+    normalizeCatalog,
+    diffCatalogs,
+    isEmptyDiff,
+    formatMarkdown,
+    buildChangelog,
+    formatChangelogMarkdown
+};
@@ -0,0 +1,236 @@
+/**
+ * Registry lifecycle commands for InfoTech.io Platform
+ * Adds, deprecates, archives and removes modules in the central modules.json.
+ * Every change is appended with who, when and why to registry-history.json next to
+ * the registry: modules.json is served to every hub visitor, the history is not.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ModuleValidator } = require('./validate-module.js');
+
+const HISTORY_FILENAME = 'registry-history.json';
+
+const REPOSITORY_PATTERN = /^mod_[a-z0-9]+(_[a-z0-9]+)*$/;
+
+// Registry status -> module.json status.lifecycle written alongside it
+const STATUS_LIFECYCLE = {
+    deprecated: 'deprecated',
+    archived: 'deprecated'
+};
+
+/**
+ * Format date as registry timestamp (ISO 8601 without milliseconds)
+ */
+function formatTimestamp(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * History file that belongs to a registry file
+ */
+function getHistoryPath(registryPath) {
+    return path.join(path.dirname(registryPath), HISTORY_FILENAME);
+}
+
+/**
+ * Load history events (oldest first), or none when the file doesn't exist yet
+ */
+function loadHistory(historyPath) {
+    if (!fs.existsSync(historyPath)) {
+        return [];
+    }
+    return JSON.parse(fs.readFileSync(historyPath, 'utf8')).events || [];
+}
+
+/**
+ * Append event to the history file
+ */
+function appendHistory(historyPath, event) {
+    const events = [...loadHistory(historyPath), event];
+    fs.writeFileSync(historyPath, `${JSON.stringify({ events }, null, 2)}\n`, 'utf8');
+    return events;
+}
+
+/**
+ * Applies lifecycle changes to a registry object without modifying the input.
+ * Methods return { registry, event } and throw with a clear reason when the
+ * change isn't allowed; the caller records the event with appendHistory().
+ */
+class RegistryEditor {
+    constructor(scanner) {
+        this.scanner = scanner;
+    }
+
+    /**
+     * Registry entry by key, or throw for unknown modules
+     */
+    getEntry(registry, key) {
+        const modules = registry.modules || {};
+        if (!Object.prototype.hasOwnProperty.call(modules, key)) {
+            throw new Error(`Unknown module "${key}"`);
+        }
+        return modules[key];
+    }
+
+    /**
+     * Modules whose prerequisites, next or replacement point to key
+     */
+    findReferences(registry, key) {
+        const references = [];
+        Object.entries(registry.modules || {}).forEach(([id, entry]) => {
+            if (id === key) {
+                return;
+            }
+            ['prerequisites', 'next'].forEach(field => {
+                if ((entry[field] || []).includes(key)) {
+                    references.push(`${id} (${field})`);
+                }
+            });
+            if (entry.replacement === key) {
+                references.push(`${id} (replacement)`);
+            }
+        });
+        return references;
+    }
+
+    /**
+     * Registry with updated modules, and the change for the history
+     */
+    applyChange(registry, modules, event) {
+        return {
+            registry: { ...registry, last_updated: event.at, modules },
+            event
+        };
+    }
+
+    /**
+     * Build history event; `by` and `reason` come from the command line
+     */
+    createEvent(action, key, { by, reason, replacement } = {}) {
+        return {
+            action,
+            module: key,
+            at: formatTimestamp(new Date()),
+            by,
+            ...(reason && { reason }),
+            ...(replacement && { replacement })
+        };
+    }
+
+    /**
+     * Add module from its repository's module.json
+     */
+    async add(registry, repository, options = {}) {
+        if (!REPOSITORY_PATTERN.test(repository)) {
+            throw new Error(`Invalid repository name "${repository}" (expected mod_<name>, e.g. mod_docker_intro)`);
+        }
+
+        const key = this.scanner.getRegistryKey(repository);
+        if (Object.prototype.hasOwnProperty.call(registry.modules || {}, key)) {
+            throw new Error(`Module "${key}" is already in the registry (status: ${registry.modules[key].status})`);
+        }
+
+        const result = await this.scanner.scanModule(repository);
+        if (!result.success || result.source !== 'module.json') {
+            throw new Error(`Cannot add ${repository}: ${result.error || 'module.json not found'}`);
+        }
+
+        const validate = new ModuleValidator().getValidator(result.data);
+        if (!validate || !validate(result.data)) {
+            throw new Error(`Cannot add ${repository}: module.json does not match schema (run validate-module.js on it)`);
+        }
+
+        const entry = {
+            ...this.scanner.convertToRegistryEntry(result.data),
+            status: 'active',
+            lifecycle: result.data.status.lifecycle
+        };
+
+        const event = this.createEvent('added', key, options);
+        return this.applyChange(registry, { ...registry.modules, [key]: entry }, event);
+    }
+
+    /**
+     * Mark module as deprecated; the hub keeps showing it with a link to the replacement
+     */
+    deprecate(registry, key, options = {}) {
+        const entry = this.getEntry(registry, key);
+        if (entry.status === 'archived') {
+            throw new Error(`Module "${key}" is archived and can't be deprecated`);
+        }
+        if (!options.replacement) {
+            throw new Error(`Deprecating "${key}" requires a replacement module (--replacement <key>)`);
+        }
+        this.checkReplacement(registry, key, options.replacement);
+
+        return this.setStatus(registry, key, 'deprecated', options);
+    }
+
+    /**
+     * Archive module: it stays in the registry but is hidden from the catalog
+     */
+    archive(registry, key, options = {}) {
+        this.getEntry(registry, key);
+        this.checkReplacement(registry, key, options.replacement);
+
+        return this.setStatus(registry, key, 'archived', options);
+    }
+
+    /**
+     * Remove module entry. Refused while other modules still reference it.
+     */
+    remove(registry, key, options = {}) {
+        this.getEntry(registry, key);
+
+        const references = this.findReferences(registry, key);
+        if (references.length > 0) {
+            throw new Error(`Cannot remove "${key}": still referenced by ${references.join(', ')}`);
+        }
+
+        const modules = { ...registry.modules };
+        delete modules[key];
+
+        return this.applyChange(registry, modules, this.createEvent('removed', key, options));
+    }
+
+    checkReplacement(registry, key, replacement) {
+        if (!replacement) {
+            return;
+        }
+        if (replacement === key) {
+            throw new Error(`Module "${key}" can't replace itself`);
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(registry.modules || {}, replacement)) {
+            throw new Error(`Unknown replacement module "${replacement}"`);
+        }
+
+        const target = registry.modules[replacement];
+        if (target.status !== 'active') {
+            throw new Error(`Replacement module "${replacement}" is not active (status: ${target.status})`);
+        }
+    }
+
+    /**
+     * Set status and lifecycle; refuses changes that would only add a history event
+     */
+    setStatus(registry, key, status, options) {
+        const current = registry.modules[key];
+        if (current.status === status && (!options.replacement || options.replacement === current.replacement)) {
+            throw new Error(`Module "${key}" is already ${status}${current.replacement ? ` (replacement: ${current.replacement})` : ''}`);
+        }
+
+        const entry = {
+            ...registry.modules[key],
+            status,
+            lifecycle: STATUS_LIFECYCLE[status],
+            ...(options.replacement && { replacement: options.replacement })
+        };
+
+        const event = this.createEvent(status, key, options);
+        return this.applyChange(registry, { ...registry.modules, [key]: entry }, event);
+    }
+}
+
+module.exports = { RegistryEditor, STATUS_LIFECYCLE, HISTORY_FILENAME, getHistoryPath, loadHistory, appendHistory };
@@ -5,14 +5,155 @@
  * Scans GitHub organization for mod_* repositories and reads their module.json files
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
+const { execFileSync } = require('child_process');
 const path = require('path');
+const http = require('http');
 const https = require('https');
+const { getSupportedVersions, migrate } = require('./schema-migrations.js');
+const moduleStatus = require('./module-status.js');
 
 // Configuration
 const ORG_NAME = 'info-tech-io';
 const CENTRAL_MODULES_PATH = path.join(__dirname, '../modules.json');
-const SCHEMA_PATH = path.join(__dirname, '../schemas/module.json');
+const LATEST_SCHEMA_VERSION = getSupportedVersions().pop();
+const DEFAULT_CACHE_DIR = path.join(__dirname, '../.cache/scan-modules');
+
+/**
+ * Format date as registry timestamp (ISO 8601 without milliseconds)
+ */
+function formatTimestamp(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Parse ISO 8601 date-time with timezone (e.g. 2025-01-31T12:00:00Z) into a registry timestamp.
+ * Throws on malformed values and impossible dates such as February 30.
+ */
+function parseTimestamp(value) {
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(\.\d+)?(Z|[+-]\d{2}:\d{2})$/);
+    const [year, month, day, hours, minutes, seconds] = match ? match.slice(1, 7).map(Number) : [];
+    const calendarDate = match ? new Date(Date.UTC(year, month - 1, day)) : null;
+
+    if (!match ||
+        calendarDate.getUTCMonth() !== month - 1 || calendarDate.getUTCDate() !== day ||
+        hours > 23 || minutes > 59 || seconds > 59) {
+        throw new Error(`Malformed timestamp "${value}" (expected ISO 8601 date-time, e.g. 2025-01-31T12:00:00Z)`);
+    }
+
+    return formatTimestamp(new Date(value));
+}
+
+/**
+ * Who runs a registry command: GitHub Actions actor or git user name, null when neither is set
+ */
+function getCurrentUser() {
+    if (process.env.GITHUB_ACTOR) {
+        return process.env.GITHUB_ACTOR;
+    }
+
+    try {
+        const name = execFileSync('git', ['config', 'user.name'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+        if (name) {
+            return name;
+        }
+    } catch (error) {
+        // git is not installed or user.name is not set
+    }
+
+    return null;
+}
+
+/**
+ * Wait for given number of milliseconds; rejects early when signal aborts
+ */
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        const abortError = () => signal.reason || new Error('Aborted');
+        if (signal?.aborted) {
+            reject(abortError());
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Run fn(signal) and reject if it doesn't settle within given number of milliseconds.
+ * On timeout the signal aborts and this only settles once fn has stopped, so callers
+ * that bound concurrency never have more work in flight than they think.
+ */
+async function withTimeout(fn, ms, message) {
+    const controller = new AbortController();
+    const work = fn(controller.signal);
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(message);
+            controller.abort(error);
+            reject(error);
+        }, ms);
+    });
+
+    try {
+        return await Promise.race([work, timeout]);
+    } finally {
+        clearTimeout(timer);
+        await work.catch(() => {});
+    }
+}
+
+/**
+ * Map items through async function with at most `limit` calls in flight.
+ * Results keep the order of input items.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+}
+
+// module.json metadata the registry doesn't keep, copied by mergeScannedMetadata()
+const SCANNED_METADATA_FIELDS = ['version', 'type', 'difficulty', 'estimated_time', 'language', 'lifecycle', 'author', 'maintainer', 'license', 'tags'];
+
+/**
+ * Add module.json metadata from unified 2.0 output (`--output json`) to registry entries.
+ * The registry stays authoritative: listing, status and fields it already has are kept.
+ * Returns a new registry object.
+ */
+function mergeScannedMetadata(registry, unified) {
+    const scanned = new Map((unified.modules || [])
+        .filter(module => module._source === 'module.json' && module.repository)
+        .map(module => [module.repository.replace(/^mod_/, ''), module]));
+
+    const modules = Object.fromEntries(Object.entries(registry.modules || {}).map(([key, entry]) => {
+        const metadata = scanned.get(key) || {};
+        const missing = SCANNED_METADATA_FIELDS.filter(field => entry[field] === undefined && metadata[field] !== undefined);
+        return [key, { ...entry, ...Object.fromEntries(missing.map(field => [field, metadata[field]])) }];
+    }));
+
+    return { ...registry, modules };
+}
 
 /**
  * Logger utility (reuse from validate-module.js)
@@ -32,8 +173,19 @@ class Logger {
         console.error(`${this.colors.red}✗ ERROR:${this.colors.reset} ${message}`);
     }
 
+    // Send informational output to stderr when stdout carries a machine-readable report
+    static toStderr = false;
+
+    static output(message) {
+        if (this.toStderr) {
+            console.error(message);
+        } else {
+            console.log(message);
+        }
+    }
+
     static success(message) {
-        console.log(`${this.colors.green}✓ SUCCESS:${this.colors.reset} ${message}`);
+        this.output(`${this.colors.green}✓ SUCCESS:${this.colors.reset} ${message}`);
     }
 
     static warning(message) {
@@ -41,37 +193,121 @@ class Logger {
     }
 
     static info(message) {
-        console.log(`${this.colors.blue}ℹ INFO:${this.colors.reset} ${message}`);
+        this.output(`${this.colors.blue}ℹ INFO:${this.colors.reset} ${message}`);
     }
 
     static debug(message) {
         if (process.env.DEBUG) {
-            console.log(`${this.colors.gray}DEBUG:${this.colors.reset} ${message}`);
+            this.output(`${this.colors.gray}DEBUG:${this.colors.reset} ${message}`);
+        }
+    }
+}
+
+/**
+ * File-backed cache of GitHub API responses keyed by request path.
+ * Entries keep the response ETag so later runs can revalidate with If-None-Match.
+ */
+class ResponseCache {
+    constructor(cacheDir = DEFAULT_CACHE_DIR) {
+        this.cacheDir = cacheDir;
+        this.stats = { revalidated: 0, fetched: 0, uncached: 0, errors: 0 };
+    }
+
+    /**
+     * Get cache file path for request path
+     */
+    getFilePath(key) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex');
+        return path.join(this.cacheDir, `${hash}.json`);
+    }
+
+    /**
+     * Read cached response entry
+     */
+    get(key) {
+        const filePath = this.getFilePath(key);
+
+        try {
+            if (fs.existsSync(filePath)) {
+                return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            }
+        } catch (error) {
+            this.stats.errors++;
+            Logger.debug(`Ignoring unreadable cache entry ${filePath}: ${error.message}`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Store response entry, writing through a temp file so readers never see partial JSON
+     */
+    set(key, entry) {
+        const filePath = this.getFilePath(key);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+        try {
+            fs.mkdirSync(this.cacheDir, { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify({ key, stored_at: new Date().toISOString(), ...entry }), 'utf8');
+            fs.renameSync(tmpPath, filePath);
+        } catch (error) {
+            this.stats.errors++;
+            Logger.debug(`Failed to write cache entry ${filePath}: ${error.message}`);
         }
     }
+
+    /**
+     * Summarize cache usage for this run
+     */
+    getSummary() {
+        const { revalidated, fetched, uncached, errors } = this.stats;
+        const total = revalidated + fetched + uncached;
+        const hitRate = total > 0 ? Math.round(revalidated / total * 100) : 0;
+
+        return `${total} requests: ${revalidated} not modified (304), ${fetched} fetched, ` +
+            `${uncached} without ETag, ${errors} cache errors - ${hitRate}% served from ${this.cacheDir}`;
+    }
 }
 
 /**
  * GitHub API client
  */
 class GitHubClient {
-    constructor(token = null) {
+    constructor(token = null, options = {}) {
         this.token = token || process.env.GITHUB_TOKEN;
-        this.baseUrl = 'api.github.com';
+        this.cache = options.cache || null;
+
+        // API host and protocol are configurable so the client can run against a local stub
+        const apiUrl = new URL(options.apiUrl || process.env.GITHUB_API_URL || 'https://api.github.com');
+        this.baseUrl = apiUrl.hostname;
+        this.port = apiUrl.port || null;
+        this.transport = apiUrl.protocol === 'http:' ? http : https;
+
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryDelay = options.retryDelay ?? 1000; // base delay for exponential backoff
+        this.maxRateLimitWait = options.maxRateLimitWait ?? 5 * 60 * 1000; // 5 minutes
+        this.requestTimeout = options.requestTimeout ?? 30 * 1000;
+
+        this.requestCount = 0;
+        this.rateLimit = null;
+        this.initialRateLimit = null;
     }
 
     /**
-     * Make HTTP request to GitHub API
+     * Perform a single HTTP request to GitHub API
      */
-    async request(path) {
+    async send(path, extraHeaders = {}, { signal = null } = {}) {
         return new Promise((resolve, reject) => {
             const options = {
                 hostname: this.baseUrl,
+                port: this.port,
                 path: path,
                 method: 'GET',
+                ...(signal && { signal }),
                 headers: {
                     'User-Agent': 'InfoTech-Module-Scanner/1.0',
-                    'Accept': 'application/vnd.github.v3+json'
+                    'Accept': 'application/vnd.github.v3+json',
+                    ...extraHeaders
                 }
             };
 
@@ -79,7 +315,7 @@ class GitHubClient {
                 options.headers['Authorization'] = `token ${this.token}`;
             }
 
-            const req = https.request(options, (res) => {
+            const req = this.transport.request(options, (res) => {
                 let data = '';
 
                 res.on('data', (chunk) => {
@@ -87,21 +323,14 @@ class GitHubClient {
                 });
 
                 res.on('end', () => {
-                    try {
-                        const jsonData = JSON.parse(data);
-
-                        if (res.statusCode >= 400) {
-                            reject(new Error(`GitHub API error ${res.statusCode}: ${jsonData.message}`));
-                            return;
-                        }
-
-                        resolve(jsonData);
-                    } catch (error) {
-                        reject(new Error(`Failed to parse GitHub API response: ${error.message}`));
-                    }
+                    resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
                 });
             });
 
+            req.setTimeout(this.requestTimeout, () => {
+                req.destroy(new Error(`timed out after ${this.requestTimeout}ms`));
+            });
+
             req.on('error', (error) => {
                 reject(new Error(`GitHub API request failed: ${error.message}`));
             });
@@ -110,25 +339,236 @@ class GitHubClient {
         });
     }
 
+    /**
+     * Make HTTP request to GitHub API, retrying transient failures.
+     * An aborted signal cancels the request in flight and any further retries.
+     */
+    async request(path, { signal = null } = {}) {
+        const { body } = await this.requestWithHeaders(path, { signal });
+        return body;
+    }
+
+    /**
+     * Make HTTP request to GitHub API and return parsed body with response headers
+     */
+    async requestWithHeaders(path, { signal = null } = {}) {
+        const cached = this.cache ? this.cache.get(path) : null;
+        const conditionalHeaders = cached?.etag ? { 'If-None-Match': cached.etag } : {};
+
+        for (let attempt = 0; ; attempt++) {
+            let response;
+
+            try {
+                response = await this.send(path, conditionalHeaders, { signal });
+                this.requestCount++;
+            } catch (error) {
+                if (signal?.aborted || attempt >= this.maxRetries) {
+                    throw error;
+                }
+
+                const delay = this.getBackoffDelay(attempt);
+                Logger.debug(`${error.message}, retrying in ${delay}ms (${attempt + 1}/${this.maxRetries})`);
+                await sleep(delay, signal);
+                continue;
+            }
+
+            this.updateRateLimit(response.headers);
+
+            const { statusCode } = response;
+            if (statusCode === 304 && cached) {
+                this.cache.stats.revalidated++;
+                Logger.debug(`Not modified: ${path}`);
+                return { body: cached.body, headers: { ...response.headers, link: cached.link } };
+            }
+
+            if (statusCode < 400) {
+                let body;
+                try {
+                    body = JSON.parse(response.body);
+                } catch (error) {
+                    throw new Error(`Failed to parse GitHub API response: ${error.message}`);
+                }
+
+                if (this.cache) {
+                    if (response.headers.etag) {
+                        this.cache.stats.fetched++;
+                        this.cache.set(path, { etag: response.headers.etag, link: response.headers.link, body });
+                    } else {
+                        this.cache.stats.uncached++;
+                    }
+                }
+
+                return { body, headers: response.headers };
+            }
+
+            const message = this.getErrorMessage(response);
+            const retryable = statusCode >= 500 || statusCode === 429 || this.isRateLimited(response);
+
+            if (!retryable || attempt >= this.maxRetries) {
+                const error = new Error(`GitHub API error ${statusCode}: ${message}`);
+                error.statusCode = statusCode;
+                throw error;
+            }
+
+            const delay = this.getRetryDelay(response, attempt);
+            if (delay > this.maxRateLimitWait) {
+                const error = new Error(`GitHub API error ${statusCode}: ${message} (retry in ${Math.ceil(delay / 1000)}s exceeds wait limit)`);
+                error.statusCode = statusCode;
+                throw error;
+            }
+
+            Logger.debug(`GitHub API ${statusCode} for ${path}, retrying in ${delay}ms (${attempt + 1}/${this.maxRetries})`);
+            await sleep(delay, signal);
+        }
+    }
+
+    /**
+     * Follow Link headers and collect all pages of a list endpoint
+     */
+    async requestAll(path) {
+        const items = [];
+        let nextPath = path;
+
+        while (nextPath) {
+            const { body, headers } = await this.requestWithHeaders(nextPath);
+            items.push(...body);
+            nextPath = this.getNextPagePath(headers.link);
+        }
+
+        return items;
+    }
+
+    /**
+     * Extract path of rel="next" page from Link header
+     */
+    getNextPagePath(linkHeader) {
+        if (!linkHeader) {
+            return null;
+        }
+
+        const next = linkHeader.split(',').find(part => /rel="next"/.test(part));
+        const match = next && next.match(/<([^>]+)>/);
+        if (!match) {
+            return null;
+        }
+
+        const url = new URL(match[1]);
+        return `${url.pathname}${url.search}`;
+    }
+
+    /**
+     * Track rate limit headers from the last response
+     */
+    updateRateLimit(headers) {
+        if (headers['x-ratelimit-remaining'] === undefined) {
+            return;
+        }
+
+        this.rateLimit = {
+            limit: parseInt(headers['x-ratelimit-limit'], 10),
+            remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+            reset: parseInt(headers['x-ratelimit-reset'], 10)
+        };
+
+        if (!this.initialRateLimit) {
+            // Budget before the first request of this run
+            this.initialRateLimit = { ...this.rateLimit, remaining: this.rateLimit.remaining + 1 };
+        }
+    }
+
+    /**
+     * Check whether response was rejected by (primary or secondary) rate limit
+     */
+    isRateLimited(response) {
+        return response.statusCode === 403 &&
+            (response.headers['x-ratelimit-remaining'] === '0' || response.headers['retry-after'] !== undefined);
+    }
+
+    /**
+     * Delay before retrying a failed response, honoring rate limit headers
+     */
+    getRetryDelay(response, attempt) {
+        // Retry-After is either a number of seconds or an HTTP-date
+        const retryAfter = String(response.headers['retry-after'] ?? '').trim();
+        if (/^\d+$/.test(retryAfter)) {
+            return parseInt(retryAfter, 10) * 1000;
+        }
+        const retryAt = retryAfter ? Date.parse(retryAfter) : NaN;
+        if (!isNaN(retryAt)) {
+            return Math.max(retryAt - Date.now(), 0);
+        }
+
+        if (response.headers['x-ratelimit-remaining'] === '0' && response.headers['x-ratelimit-reset']) {
+            const resetAt = parseInt(response.headers['x-ratelimit-reset'], 10) * 1000;
+            return Math.max(resetAt - Date.now(), 0) + 1000;
+        }
+
+        return this.getBackoffDelay(attempt);
+    }
+
+    /**
+     * Exponential backoff with jitter
+     */
+    getBackoffDelay(attempt) {
+        const delay = this.retryDelay * 2 ** attempt;
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Extract error message from GitHub API response body
+     */
+    getErrorMessage(response) {
+        try {
+            return JSON.parse(response.body).message;
+        } catch (error) {
+            return response.body.slice(0, 200) || 'empty response';
+        }
+    }
+
+    /**
+     * Summarize API usage for this run
+     */
+    getRateLimitSummary() {
+        if (!this.rateLimit) {
+            return `${this.requestCount} requests (no rate limit headers received)`;
+        }
+
+        const used = this.initialRateLimit.remaining - this.rateLimit.remaining;
+        const resetAt = new Date(this.rateLimit.reset * 1000).toISOString();
+        return `${this.requestCount} requests, ${used} rate limit points used, ` +
+            `${this.rateLimit.remaining}/${this.rateLimit.limit} remaining (resets at ${resetAt})`;
+    }
+
     /**
      * Get all repositories in organization
      */
     async getRepositories(org) {
+        const repos = await this.requestAll(`/orgs/${org}/repos?type=all&per_page=100`);
+        return repos.filter(repo => repo.name.startsWith('mod_'));
+    }
+
+    /**
+     * Get default branch of repository
+     */
+    async getDefaultBranch(org, repo, { signal = null } = {}) {
         try {
-            const repos = await this.request(`/orgs/${org}/repos?type=all&per_page=100`);
-            return repos.filter(repo => repo.name.startsWith('mod_'));
+            const repository = await this.request(`/repos/${org}/${repo}`, { signal });
+            return repository.default_branch || null;
         } catch (error) {
-            Logger.error(`Failed to fetch repositories: ${error.message}`);
-            return [];
+            if (signal?.aborted) {
+                throw error;
+            }
+            Logger.debug(`Failed to fetch default branch of ${repo}: ${error.message}`);
+            return null;
         }
     }
 
     /**
      * Get file content from repository
      */
-    async getFileContent(org, repo, path, branch = 'main') {
+    async getFileContent(org, repo, path, branch = 'main', { signal = null } = {}) {
         try {
-            const response = await this.request(`/repos/${org}/${repo}/contents/${path}?ref=${branch}`);
+            const response = await this.request(`/repos/${org}/${repo}/contents/${path}?ref=${encodeURIComponent(branch)}`, { signal });
 
             if (response.content) {
                 return Buffer.from(response.content, 'base64').toString('utf8');
@@ -136,45 +576,198 @@ class GitHubClient {
 
             return null;
         } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
             Logger.debug(`Failed to fetch ${path} from ${repo}: ${error.message}`);
             return null;
         }
     }
 }
 
+/**
+ * Local filesystem module source with the same interface as GitHubClient.
+ * Used for offline previews and module repository CI without network tokens.
+ */
+class LocalModuleSource {
+    constructor(rootDir) {
+        this.rootDir = path.resolve(rootDir);
+        this.directories = null;
+    }
+
+    /**
+     * Discover module directories: the root itself if it holds module.json,
+     * otherwise every mod_* subdirectory or subdirectory with a module.json
+     */
+    discover() {
+        if (this.directories) {
+            return this.directories;
+        }
+
+        if (!fs.existsSync(this.rootDir) || !fs.statSync(this.rootDir).isDirectory()) {
+            throw new Error(`Directory not found: ${this.rootDir}`);
+        }
+
+        this.directories = new Map();
+
+        if (fs.existsSync(path.join(this.rootDir, 'module.json'))) {
+            this.directories.set(this.getRepositoryName(this.rootDir), this.rootDir);
+            return this.directories;
+        }
+
+        fs.readdirSync(this.rootDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => path.join(this.rootDir, entry.name))
+            .filter(dir => path.basename(dir).startsWith('mod_') || fs.existsSync(path.join(dir, 'module.json')))
+            .sort()
+            .forEach(dir => this.directories.set(this.getRepositoryName(dir), dir));
+
+        return this.directories;
+    }
+
+    /**
+     * Get repository name for module directory
+     */
+    getRepositoryName(dir) {
+        const dirName = path.basename(dir);
+        if (dirName.startsWith('mod_')) {
+            return dirName;
+        }
+
+        try {
+            const moduleData = JSON.parse(fs.readFileSync(path.join(dir, 'module.json'), 'utf8'));
+            if (moduleData.deployment?.repository) {
+                return moduleData.deployment.repository;
+            }
+        } catch (error) {
+            Logger.debug(`Failed to read repository name from ${dir}: ${error.message}`);
+        }
+
+        return dirName;
+    }
+
+    /**
+     * Get all module directories as repository entries
+     */
+    async getRepositories() {
+        return Array.from(this.discover().keys()).map(name => ({ name }));
+    }
+
+    /**
+     * Local checkouts have no branches - files are read from the working tree
+     */
+    async getDefaultBranch() {
+        return null;
+    }
+
+    /**
+     * Get file content from module directory (ref is ignored)
+     */
+    async getFileContent(org, repo, filePath) {
+        const dir = this.discover().get(repo);
+        const fullPath = dir && path.join(dir, filePath);
+
+        if (!fullPath || !fs.existsSync(fullPath)) {
+            Logger.debug(`File ${filePath} not found for ${repo}`);
+            return null;
+        }
+
+        return fs.readFileSync(fullPath, 'utf8');
+    }
+}
+
 /**
  * Module scanner
  */
 class ModuleScanner {
-    constructor() {
-        this.github = new GitHubClient();
+    constructor(options = {}) {
+        this.responseCache = options.cache === false ? null : new ResponseCache(options.cacheDir);
+        this.github = new GitHubClient(null, { cache: this.responseCache });
+        this.localDir = options.localDir || null;
+        this.ref = options.ref || null;
+        this.strict = options.strict || false;
+        this.lintConfigPath = options.lintConfigPath || null;
+        this.registryPath = options.registryPath || CENTRAL_MODULES_PATH;
+        this.centralModules = null;
+        this.source = this.localDir ? new LocalModuleSource(this.localDir) : this.github;
         this.cache = new Map();
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+        this.concurrency = options.concurrency || 4;
+        this.moduleTimeout = options.moduleTimeout || 60 * 1000; // 1 minute per module
+        this.lastScanResults = [];
     }
 
     /**
-     * Load central modules.json as fallback
+     * Load central registry (ref pins, fallback entries) once per scanner
      */
     loadCentralModules() {
+        if (this.centralModules) {
+            return this.centralModules;
+        }
+
+        this.centralModules = { modules: [] };
         try {
-            if (fs.existsSync(CENTRAL_MODULES_PATH)) {
-                const content = fs.readFileSync(CENTRAL_MODULES_PATH, 'utf8');
-                return JSON.parse(content);
+            if (fs.existsSync(this.registryPath)) {
+                this.centralModules = JSON.parse(fs.readFileSync(this.registryPath, 'utf8'));
             }
         } catch (error) {
-            Logger.warning(`Failed to load central modules.json: ${error.message}`);
+            Logger.warning(`Failed to load ${this.registryPath}: ${error.message}`);
+        }
+        return this.centralModules;
+    }
+
+    /**
+     * Load central registry for editing
+     */
+    loadRegistry(registryPath = CENTRAL_MODULES_PATH) {
+        if (!fs.existsSync(registryPath)) {
+            throw new Error(`Registry not found: ${registryPath}`);
         }
-        return { modules: [] };
+
+        return JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+    }
+
+    /**
+     * Write central registry to disk. The file is replaced atomically so an
+     * interrupted run never leaves a truncated modules.json behind.
+     */
+    saveRegistry(registry, registryPath = CENTRAL_MODULES_PATH) {
+        const tempPath = `${registryPath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, `${JSON.stringify(registry, null, 2)}\n`, 'utf8');
+        fs.renameSync(tempPath, registryPath);
+    }
+
+    /**
+     * Resolve git ref to read module.json from.
+     * Precedence: --ref for the run, registry `ref` pin, repository default branch, main.
+     */
+    async resolveRef(moduleName, defaultBranch = null, { signal = null } = {}) {
+        if (this.ref) {
+            return this.ref;
+        }
+
+        const centralModules = this.loadCentralModules();
+        const pinned = centralModules.modules ?
+            Object.values(centralModules.modules).find(m => m.content_repo === moduleName && m.ref) : null;
+
+        if (pinned) {
+            Logger.debug(`Using pinned ref ${pinned.ref} for ${moduleName}`);
+            return pinned.ref;
+        }
+
+        return defaultBranch || await this.source.getDefaultBranch(ORG_NAME, moduleName, { signal }) || 'main';
     }
 
     /**
      * Scan specific module
      */
-    async scanModule(moduleName) {
+    async scanModule(moduleName, { defaultBranch = null, signal = null } = {}) {
         Logger.info(`Scanning module: ${moduleName}`);
 
+        const ref = this.localDir ? null : await this.resolveRef(moduleName, defaultBranch, { signal });
+
         // Check cache first
-        const cacheKey = `module:${moduleName}`;
+        const cacheKey = `module:${moduleName}@${ref}`;
         const cached = this.cache.get(cacheKey);
         if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
             Logger.debug(`Using cached data for ${moduleName}`);
@@ -183,19 +776,20 @@ class ModuleScanner {
 
         try {
             // Try to fetch module.json
-            const moduleJsonContent = await this.github.getFileContent(ORG_NAME, moduleName, 'module.json');
+            const moduleJsonContent = await this.source.getFileContent(ORG_NAME, moduleName, 'module.json', ref, { signal });
 
             if (moduleJsonContent) {
                 const moduleData = JSON.parse(moduleJsonContent);
+                const result = { success: true, source: 'module.json', ref, data: moduleData };
 
                 // Cache the result
                 this.cache.set(cacheKey, {
-                    data: { success: true, source: 'module.json', data: moduleData },
+                    data: result,
                     timestamp: Date.now()
                 });
 
-                Logger.success(`Found module.json for ${moduleName}`);
-                return { success: true, source: 'module.json', data: moduleData };
+                Logger.success(`Found module.json for ${moduleName}${ref ? ` at ${ref}` : ''}`);
+                return result;
             }
 
             // Fallback to central modules.json
@@ -212,6 +806,9 @@ class ModuleScanner {
             return { success: false, error: 'No configuration found' };
 
         } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
             Logger.error(`Failed to scan ${moduleName}: ${error.message}`);
             return { success: false, error: error.message };
         }
@@ -221,29 +818,62 @@ class ModuleScanner {
      * Scan all modules in organization
      */
     async scanAllModules() {
-        Logger.info(`Scanning all modules in ${ORG_NAME} organization`);
+        Logger.info(this.localDir ?
+            `Scanning local modules in ${this.localDir}` :
+            `Scanning all modules in ${ORG_NAME} organization`);
 
         try {
-            const repos = await this.github.getRepositories(ORG_NAME);
+            const repos = await this.source.getRepositories(ORG_NAME);
             Logger.info(`Found ${repos.length} mod_* repositories`);
 
-            const results = [];
+            Logger.debug(`Scanning with concurrency ${this.concurrency}`);
+
+            const results = await mapWithConcurrency(repos, this.concurrency, async (repo) => {
+                const startedAt = Date.now();
+                let result;
+
+                try {
+                    result = await withTimeout(
+                        signal => this.scanModule(repo.name, { defaultBranch: repo.default_branch, signal }),
+                        this.moduleTimeout,
+                        `Timed out after ${this.moduleTimeout}ms`
+                    );
+                } catch (error) {
+                    Logger.error(`Failed to scan ${repo.name}: ${error.message}`);
+                    result = { success: false, error: error.message };
+                }
 
-            for (const repo of repos) {
-                const result = await this.scanModule(repo.name);
-                results.push({
+                return {
                     repository: repo.name,
-                    ...result
-                });
-            }
+                    ...result,
+                    duration_ms: Date.now() - startedAt
+                };
+            });
 
+            this.lastScanResults = results;
             return results;
         } catch (error) {
-            Logger.error(`Failed to scan all modules: ${error.message}`);
-            return [];
+            // Listing failed (bad token, missing directory): callers must not mistake it for an empty organization
+            throw new Error(`Failed to scan all modules: ${error.message}`);
         }
     }
 
+    /**
+     * Format per-module scan timings, slowest first
+     */
+    formatTimingSummary(scanResults) {
+        const total = scanResults.reduce((sum, result) => sum + result.duration_ms, 0);
+        const lines = [...scanResults]
+            .sort((a, b) => b.duration_ms - a.duration_ms)
+            .map(result => {
+                const status = result.success ? '✓' : '✗';
+                return `  ${status} ${result.repository.padEnd(30)} ${String(result.duration_ms).padStart(6)}ms`;
+            });
+
+        lines.push(`  ${scanResults.length} modules, ${total}ms cumulative (concurrency ${this.concurrency})`);
+        return lines.join('\n');
+    }
+
     /**
      * Generate unified modules.json
      */
@@ -261,8 +891,17 @@ class ModuleScanner {
             if (result.success) {
                 if (result.source === 'module.json') {
                     // Convert module.json format to legacy format for compatibility
-                    const legacyFormat = this.convertToLegacyFormat(result.data);
+                    let legacyFormat;
+                    try {
+                        legacyFormat = this.convertToLegacyFormat(result.data);
+                    } catch (error) {
+                        Logger.warning(`Skipping ${result.repository}: ${error.message}`);
+                        continue;
+                    }
                     legacyFormat._source = 'module.json';
+                    if (result.ref) {
+                        legacyFormat._ref = result.ref;
+                    }
                     unifiedModules.modules.push(legacyFormat);
                 } else {
                     // Use central format as-is
@@ -278,9 +917,12 @@ class ModuleScanner {
     }
 
     /**
-     * Convert module.json format to legacy modules.json format
+     * Convert module.json format to legacy modules.json format.
+     * Older schema versions are migrated first; unsupported versions throw.
      */
-    convertToLegacyFormat(moduleData) {
+    convertToLegacyFormat(sourceData) {
+        const { data: moduleData } = migrate(sourceData, LATEST_SCHEMA_VERSION);
+
         return {
             name: moduleData.name,
             title: moduleData.title,
@@ -291,40 +933,281 @@ class ModuleScanner {
 
             // Additional fields for enhanced functionality
             version: moduleData.version,
+            schema_version: sourceData.schema_version,
             type: moduleData.type,
             difficulty: moduleData.metadata?.difficulty,
             estimated_time: moduleData.metadata?.estimated_time,
+            language: moduleData.metadata?.language,
+            author: moduleData.metadata?.author,
+            maintainer: moduleData.metadata?.maintainer,
+            license: moduleData.metadata?.license,
             tags: moduleData.metadata?.tags || [],
+            prerequisites: moduleData.prerequisites || [],
+            next: moduleData.next || [],
             lifecycle: moduleData.status?.lifecycle,
             last_updated: moduleData.status?.last_updated,
+            urls: moduleData.urls,
 
             // Hugo configuration
             hugo_config: moduleData.hugo_config
         };
     }
 
+    /**
+     * Get central registry key for a repository (mod_linux_base -> linux_base)
+     */
+    getRegistryKey(repository) {
+        return repository.replace(/^mod_/, '');
+    }
+
+    /**
+     * Convert module.json format to central modules.json registry entry.
+     * Fields not derived from module.json (status, hand-maintained extras)
+     * are kept from the existing entry.
+     */
+    convertToRegistryEntry(moduleData, existing = {}) {
+        const lastUpdated = moduleData.status?.last_updated;
+        const existingUpdated = existing.last_updated ? new Date(existing.last_updated) : null;
+        const scannedUpdated = lastUpdated ? new Date(`${lastUpdated}T00:00:00Z`) : null;
+
+        let entryUpdated = existing.last_updated;
+        if (scannedUpdated && (!existingUpdated || scannedUpdated > existingUpdated)) {
+            entryUpdated = formatTimestamp(scannedUpdated);
+        }
+
+        // Registry links modules by key (linux_base), module.json by name (linux-base)
+        const toKeys = names => names.map(name => name.replace(/-/g, '_'));
+
+        return {
+            ...existing,
+            ...(moduleData.prerequisites && { prerequisites: toKeys(moduleData.prerequisites) }),
+            ...(moduleData.next && { next: toKeys(moduleData.next) }),
+            name: moduleData.title,
+            description: moduleData.description,
+            content_repo: moduleData.deployment?.repository || `mod_${moduleData.name.replace(/-/g, '_')}`,
+            template_repo: moduleData.deployment?.build_system || existing.template_repo || 'hugo-base',
+            subdomain: moduleData.deployment?.subdomain || moduleData.name,
+            last_updated: entryUpdated || formatTimestamp(new Date()),
+            status: existing.status || 'active'
+        };
+    }
+
+    /**
+     * Merge scanned module.json files into the central registry
+     */
+    async syncRegistry(registry, { prune = false } = {}) {
+        const { ModuleValidator } = require('./validate-module.js');
+        const validator = new ModuleValidator();
+
+        const scanResults = await this.scanAllModules();
+        if (scanResults.length === 0) {
+            throw new Error('No repositories found, refusing to sync an empty scan');
+        }
+
+        const currentModules = registry.modules || {};
+        const modules = { ...currentModules };
+        const changes = { added: [], changed: [], removed: [], stale: [] };
+
+        for (const result of scanResults) {
+            if (!result.success || result.source !== 'module.json') {
+                continue;
+            }
+
+            const validate = validator.getValidator(result.data);
+            if (!validate || !validate(result.data)) {
+                Logger.warning(`Skipping ${result.repository}: module.json does not match schema`);
+                continue;
+            }
+
+            const key = this.getRegistryKey(result.repository);
+            const existing = currentModules[key];
+            const entry = this.convertToRegistryEntry(result.data, existing);
+            modules[key] = entry;
+
+            if (!existing) {
+                changes.added.push({ key, entry });
+                continue;
+            }
+
+            const fields = this.diffRegistryEntry(existing, entry);
+            if (fields.length > 0) {
+                changes.changed.push({ key, fields });
+            }
+        }
+
+        const scannedRepos = new Set(scanResults.map(result => result.repository));
+        for (const [key, entry] of Object.entries(currentModules)) {
+            if (scannedRepos.has(entry.content_repo)) {
+                continue;
+            }
+
+            if (prune) {
+                delete modules[key];
+                changes.removed.push({ key, entry });
+            } else {
+                changes.stale.push({ key, entry });
+            }
+        }
+
+        const hasChanges = changes.added.length + changes.changed.length + changes.removed.length > 0;
+
+        return {
+            registry: {
+                ...registry,
+                last_updated: hasChanges ? formatTimestamp(new Date()) : registry.last_updated,
+                modules
+            },
+            changes,
+            hasChanges
+        };
+    }
+
+    /**
+     * Fields that differ between two registry entries
+     */
+    diffRegistryEntry(existing, entry) {
+        return Object.keys(entry)
+            .filter(field => JSON.stringify(entry[field]) !== JSON.stringify(existing[field]))
+            .map(field => ({ field, from: existing[field], to: entry[field] }));
+    }
+
+    /**
+     * Set last_updated of one registry module, as requested by a module-updated dispatch.
+     * With `refresh`, fields derived from module.json are re-read through scanModule().
+     * Throws on unknown modules, malformed timestamps and invalid module.json.
+     * Returns { registry, fields } where fields are the changed entry fields.
+     */
+    async updateRegistryEntry(registry, key, { updatedAt, refresh = false } = {}) {
+        const modules = registry.modules || {};
+        if (!Object.prototype.hasOwnProperty.call(modules, key)) {
+            const known = Object.keys(modules);
+            throw new Error(`Unknown module "${key}"${known.length > 0 ? ` (registry modules: ${known.join(', ')})` : ''}`);
+        }
+
+        const timestamp = parseTimestamp(updatedAt);
+        const existing = modules[key];
+        let entry = existing;
+
+        if (refresh) {
+            const result = await this.scanModule(existing.content_repo);
+            if (!result.success) {
+                throw new Error(`Cannot refresh ${key} from ${existing.content_repo}: ${result.error}`);
+            }
+
+            if (result.source === 'module.json') {
+                const { ModuleValidator } = require('./validate-module.js');
+                const validate = new ModuleValidator().getValidator(result.data);
+                if (!validate || !validate(result.data)) {
+                    throw new Error(`Cannot refresh ${key}: module.json in ${existing.content_repo} does not match schema`);
+                }
+                entry = this.convertToRegistryEntry(result.data, existing);
+            } else {
+                Logger.warning(`${existing.content_repo} has no module.json - only last_updated is changed`);
+            }
+        }
+
+        entry = { ...entry, last_updated: timestamp };
+
+        return {
+            registry: {
+                ...registry,
+                last_updated: formatTimestamp(new Date()),
+                modules: { ...modules, [key]: entry }
+            },
+            fields: this.diffRegistryEntry(existing, entry)
+        };
+    }
+
+    /**
+     * Format registry sync changes as a human-readable diff
+     */
+    formatRegistryDiff(changes) {
+        const lines = [];
+
+        changes.added.forEach(({ key, entry }) => {
+            lines.push(`  + ${key} (${entry.content_repo})`);
+        });
+
+        changes.changed.forEach(({ key, fields }) => {
+            lines.push(`  ~ ${key}`);
+            fields.forEach(({ field, from, to }) => {
+                lines.push(`      ${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`);
+            });
+        });
+
+        changes.removed.forEach(({ key, entry }) => {
+            lines.push(`  - ${key} (${entry.content_repo})`);
+        });
+
+        return lines.length > 0 ? lines.join('\n') : '  (no changes)';
+    }
+
+    /**
+     * Production URL of scanned module: urls.production from module.json,
+     * otherwise derived from the subdomain
+     */
+    getProductionUrl(result) {
+        if (result.source === 'module.json') {
+            const subdomain = result.data.deployment?.subdomain || result.data.name;
+            return result.data.urls?.production || `https://${subdomain}.infotecha.ru`;
+        }
+        return `https://${result.data.subdomain}.infotecha.ru`;
+    }
+
+    /**
+     * HEAD-check production URL of every scanned module.
+     * Returns [{ key, repository, reachability }] in scan order.
+     */
+    async checkModuleUrls({ timeout } = {}) {
+        const scanResults = (await this.scanAllModules()).filter(result => result.success);
+
+        return mapWithConcurrency(scanResults, this.concurrency, async (result) => {
+            const url = this.getProductionUrl(result);
+            Logger.debug(`Checking ${url}`);
+
+            return {
+                key: this.getRegistryKey(result.repository),
+                repository: result.repository,
+                reachability: await moduleStatus.checkUrl(url, { timeout })
+            };
+        });
+    }
+
     /**
      * Validate all found modules
      */
     async validateAllModules() {
         const { ModuleValidator } = require('./validate-module.js');
-        const validator = new ModuleValidator();
+        const validator = new ModuleValidator({ strict: this.strict, configPath: this.lintConfigPath });
 
         const scanResults = await this.scanAllModules();
         const validationResults = [];
 
         for (const result of scanResults) {
             if (result.success && result.source === 'module.json') {
-                const isValid = validator.validateModule(result.data, result.repository);
+                const validation = validator.validateModule(result.data, result.repository, this.getModuleLocation(result));
                 validationResults.push({
                     repository: result.repository,
-                    valid: isValid
+                    ...validation
                 });
             }
         }
 
         return validationResults;
     }
+
+    /**
+     * Location of scanned module.json for validation reports
+     */
+    getModuleLocation(result) {
+        if (this.localDir) {
+            const { relativeLocation } = require('./validation-report.js');
+            const dir = this.source.discover().get(result.repository);
+            return relativeLocation(path.join(dir, 'module.json'));
+        }
+
+        return `https://github.com/${ORG_NAME}/${result.repository}/blob/${result.ref || 'main'}/module.json`;
+    }
 }
 
 /**
@@ -342,22 +1225,85 @@ USAGE:
   scan-modules.js --module <name>          Scan specific module
   scan-modules.js --validate               Validate all modules with module.json
   scan-modules.js --output <format>        Output format (json|pretty|legacy)
+  scan-modules.js --local <dir>            Scan module directories on disk instead of GitHub
+  scan-modules.js --sync                   Merge scanned module.json files into modules.json
+  scan-modules.js update-registry --module <key> --updated-at <timestamp>
+                                           Set last_updated of one registry module
+  scan-modules.js diff <old> <new>         Compare two catalogs (modules.json or unified 2.0)
+  scan-modules.js changelog                What's new in the catalog, from git history of modules.json
+  scan-modules.js module add <repo>        Add a module to modules.json from its module.json
+  scan-modules.js module deprecate <key> --replacement <key> --reason <text>
+                                           Keep a module listed with a link to its replacement
+  scan-modules.js module archive <key> --reason <text>
+                                           Hide a module from the catalog
+  scan-modules.js module remove <key> --reason <text>
+                                           Delete a module from modules.json
+  scan-modules.js --check-urls             Check production URLs and record them in status.json
+  scan-modules.js --record-build <key>     Record a module build result in status.json
 
 EXAMPLES:
   scan-modules.js
   scan-modules.js --module mod_linux_base
+  scan-modules.js --module mod_linux_base --ref v1.2.0
   scan-modules.js --validate
   scan-modules.js --output json > unified-modules.json
+  scan-modules.js --sync --dry-run
+  scan-modules.js update-registry --module linux_base --updated-at 2025-01-31T12:00:00Z --refresh
+  scan-modules.js diff old-modules.json modules.json --format json
+  scan-modules.js changelog --limit 10 > CHANGELOG.md
+  scan-modules.js module add mod_docker_intro
+  scan-modules.js module deprecate linux_base --replacement linux_advanced --reason "Merged into Linux advanced"
+  scan-modules.js --local ../modules --validate
+  scan-modules.js --check-urls
+  scan-modules.js --record-build linux_base --build-status success --commit 3f2c1ab --duration 42
 
 OPTIONS:
   --module <name>    Scan specific module repository
   --validate         Validate all found module.json files
   --output <format>  Output format: json, pretty, legacy (default: pretty)
+  --format <format>  Validation report format for --validate: json, junit, sarif;
+                     output format for diff and changelog: markdown, json
+  --limit <n>        With changelog, number of latest catalog changes to show
+  --strict           Treat lint warnings as validation failures
+  --config <path>    Lint config file (default: ./.modulelintrc)
+  --ref <ref>        Read module.json from this branch, tag or commit SHA
+                     (default: registry ref pin, else repository default branch)
+  --local <dir>      Read modules from <dir> (a module checkout, or a directory
+                     of mod_* / module.json subdirectories) instead of GitHub
+  --sync             Update the central registry from scanned module.json files
+  --registry <path>  Registry file used by --sync and update-registry, and for ref pins
+                     and fallback entries while scanning (default: modules.json)
+  --dry-run          Show registry changes without writing them
+  --updated-at <ts>  With update-registry, ISO 8601 update time of the module
+  --refresh          With update-registry, also refresh the entry from module.json
+  --replacement <key>
+                     Module that replaces this one (required for deprecate, optional for archive)
+  --reason <text>    Why the module is changed (required for deprecate, archive, remove)
+  --by <name>        Who makes the change (default: $GITHUB_ACTOR or git user.name)
+  --history <path>   History file of module commands (default: registry-history.json
+                     next to the registry)
+  --prune            Remove registry modules whose repository no longer exists
+                     (not with --local)
+  --check-urls       HEAD-check urls.production of every module and record reachability
+  --record-build <key>
+                     Record build result of registry module <key>
+  --build-status <s> Build result for --record-build: success, failure
+  --commit <sha>     Built commit for --record-build
+  --duration <sec>   Build duration in seconds for --record-build
+  --status-file <path>
+                     Status file for --check-urls and --record-build (default: status.json)
+  --concurrency <n>  Number of modules scanned in parallel (default: 4)
+  --timeout <sec>    Per-module scan timeout in seconds (default: 60)
+  --timings          Print per-module scan timings after the run
+  --no-cache         Disable the on-disk GitHub response cache
+  --cache-dir <dir>  Response cache directory (default: .cache/scan-modules)
+  --cache-stats      Print cache usage summary after the run
   --verbose          Enable verbose output
   --help, -h         Show help
 
 ENVIRONMENT:
   GITHUB_TOKEN       GitHub API token for authentication (optional but recommended)
+  GITHUB_API_URL     GitHub API base URL (default: https://api.github.com)
         `);
         process.exit(0);
     }
@@ -367,23 +1313,351 @@ ENVIRONMENT:
         process.env.DEBUG = 'true';
     }
 
-    const scanner = new ModuleScanner();
+    const scanner = new ModuleScanner({
+        concurrency: args.includes('--concurrency') ? parseInt(args[args.indexOf('--concurrency') + 1], 10) : undefined,
+        moduleTimeout: args.includes('--timeout') ? parseInt(args[args.indexOf('--timeout') + 1], 10) * 1000 : undefined,
+        ref: args.includes('--ref') ? args[args.indexOf('--ref') + 1] : null,
+        strict: args.includes('--strict'),
+        lintConfigPath: args.includes('--config') ? args[args.indexOf('--config') + 1] : null,
+        registryPath: args.includes('--registry') ? path.resolve(args[args.indexOf('--registry') + 1]) : undefined,
+        localDir: args.includes('--local') ? args[args.indexOf('--local') + 1] : null,
+        cache: !args.includes('--no-cache'),
+        cacheDir: args.includes('--cache-dir') ? path.resolve(args[args.indexOf('--cache-dir') + 1]) : undefined
+    });
+
+    if (args.includes('--timings')) {
+        process.on('exit', () => {
+            if (scanner.lastScanResults.length > 0) {
+                // Through Logger: with --output json stdout carries the catalog
+                Logger.info('Scan timings:');
+                Logger.output(scanner.formatTimingSummary(scanner.lastScanResults));
+            }
+        });
+    }
+
+    if (args.includes('--cache-stats')) {
+        process.on('exit', () => {
+            if (scanner.responseCache) {
+                Logger.info(`Cache: ${scanner.responseCache.getSummary()}`);
+            } else {
+                Logger.info('Cache: disabled (--no-cache)');
+            }
+        });
+    }
+
+    if (args.includes('--verbose')) {
+        process.on('exit', () => {
+            Logger.debug(`GitHub API usage: ${scanner.github.getRateLimitSummary()}`);
+        });
+    }
+
+    // Update one registry module (module-updated dispatch)
+    if (args[0] === 'update-registry') {
+        const registryPath = args.includes('--registry') ?
+            path.resolve(args[args.indexOf('--registry') + 1]) : CENTRAL_MODULES_PATH;
+        const key = args.includes('--module') ? args[args.indexOf('--module') + 1] : undefined;
+        const updatedAt = args.includes('--updated-at') ? args[args.indexOf('--updated-at') + 1] : undefined;
+
+        if (!key || !updatedAt) {
+            Logger.error('Usage: scan-modules.js update-registry --module <key> --updated-at <timestamp> [--refresh]');
+            process.exit(1);
+        }
+
+        let result;
+        try {
+            result = await scanner.updateRegistryEntry(scanner.loadRegistry(registryPath), key, {
+                updatedAt,
+                refresh: args.includes('--refresh')
+            });
+        } catch (error) {
+            Logger.error(error.message);
+            process.exit(1);
+        }
+
+        const changed = result.fields.length > 0 ? [{ key, fields: result.fields }] : [];
+        console.log('\nRegistry changes:');
+        console.log(scanner.formatRegistryDiff({ added: [], changed, removed: [] }));
+
+        const { ModuleValidator } = require('./validate-module.js');
+        if (!new ModuleValidator().validateRegistry(result.registry, path.basename(registryPath))) {
+            Logger.error('Updated registry is invalid - not written');
+            process.exit(1);
+        }
+
+        if (changed.length === 0) {
+            Logger.info('Registry is up to date');
+        } else if (args.includes('--dry-run')) {
+            Logger.info('Dry run - registry not written');
+        } else {
+            scanner.saveRegistry(result.registry, registryPath);
+            Logger.success(`Registry written to ${registryPath}`);
+        }
+        process.exit(0);
+    }
+
+    // Compare two catalog files
+    if (args[0] === 'diff' || args[0] === 'changelog') {
+        const registryDiff = require('./registry-diff.js');
+        const format = args.includes('--format') ? args[args.indexOf('--format') + 1] : 'markdown';
+
+        if (!registryDiff.DIFF_FORMATS.includes(format)) {
+            Logger.error(`Unknown format "${format}". Supported: ${registryDiff.DIFF_FORMATS.join(', ')}`);
+            process.exit(1);
+        }
+
+        if (args[0] === 'diff') {
+            const [, oldPath, newPath] = args;
+            if (!oldPath || !newPath || oldPath.startsWith('--') || newPath.startsWith('--')) {
+                Logger.error('Usage: scan-modules.js diff <old.json> <new.json> [--format markdown|json]');
+                process.exit(1);
+            }
+
+            let diff;
+            try {
+                diff = registryDiff.diffCatalogs(scanner.loadRegistry(oldPath), scanner.loadRegistry(newPath));
+            } catch (error) {
+                Logger.error(error.message);
+                process.exit(1);
+            }
+
+            console.log(format === 'json' ? JSON.stringify(diff, null, 2) : registryDiff.formatMarkdown(diff));
+            process.exit(0);
+        }
+
+        const registryPath = args.includes('--registry') ?
+            path.resolve(args[args.indexOf('--registry') + 1]) : CENTRAL_MODULES_PATH;
+        const limitArg = args.includes('--limit') ? args[args.indexOf('--limit') + 1] : undefined;
+        if (args.includes('--limit') && !/^[1-9]\d*$/.test(limitArg ?? '')) {
+            Logger.error(`--limit expects a positive integer, got ${limitArg === undefined ? 'nothing' : `"${limitArg}"`}`);
+            Logger.error('Usage: scan-modules.js changelog [--registry <modules.json>] [--limit <n>] [--format markdown|json]');
+            process.exit(1);
+        }
+        const limit = limitArg ? parseInt(limitArg, 10) : Infinity;
+
+        let entries;
+        try {
+            entries = registryDiff.buildChangelog(registryPath, {
+                limit,
+                onSkip: (commit, error) => Logger.warning(`Skipping ${commit.slice(0, 7)}: ${error.message}`)
+            });
+        } catch (error) {
+            Logger.error(`Failed to read git history of ${registryPath}: ${error.message}`);
+            process.exit(1);
+        }
+
+        console.log(format === 'json' ? JSON.stringify(entries, null, 2) : registryDiff.formatChangelogMarkdown(entries));
+        process.exit(0);
+    }
+
+    // Registry lifecycle: module add|deprecate|archive|remove
+    if (args[0] === 'module') {
+        const { RegistryEditor, getHistoryPath, appendHistory } = require('./registry-editor.js');
+        const [, action, target] = args;
+        const registryPath = args.includes('--registry') ?
+            path.resolve(args[args.indexOf('--registry') + 1]) : CENTRAL_MODULES_PATH;
+        const historyPath = args.includes('--history') ?
+            path.resolve(args[args.indexOf('--history') + 1]) : getHistoryPath(registryPath);
+        const options = {
+            by: args.includes('--by') ? args[args.indexOf('--by') + 1] : getCurrentUser(),
+            reason: args.includes('--reason') ? args[args.indexOf('--reason') + 1] : undefined,
+            replacement: args.includes('--replacement') ? args[args.indexOf('--replacement') + 1] : undefined
+        };
+
+        if (!['add', 'deprecate', 'archive', 'remove'].includes(action) || !target || target.startsWith('--')) {
+            Logger.error('Usage: scan-modules.js module <add|deprecate|archive|remove> <repo|key> [options]');
+            process.exit(1);
+        }
+        if (action !== 'add' && !options.reason) {
+            Logger.error(`module ${action} requires --reason <text>`);
+            process.exit(1);
+        }
+        if (!options.by) {
+            Logger.error(`module ${action} requires --by <name> (neither $GITHUB_ACTOR nor git user.name is set)`);
+            process.exit(1);
+        }
+
+        let registry;
+        let result;
+        try {
+            registry = scanner.loadRegistry(registryPath);
+            const editor = new RegistryEditor(scanner);
+            result = await editor[action](registry, target, options);
+        } catch (error) {
+            Logger.error(error.message);
+            process.exit(1);
+        }
+
+        const { event } = result;
+        const changes = { added: [], changed: [], removed: [] };
+        if (event.action === 'added') {
+            changes.added.push({ key: event.module, entry: result.registry.modules[event.module] });
+        } else if (event.action === 'removed') {
+            changes.removed.push({ key: event.module, entry: registry.modules[event.module] });
+        } else {
+            const fields = scanner.diffRegistryEntry(registry.modules[event.module], result.registry.modules[event.module]);
+            changes.changed.push({ key: event.module, fields });
+        }
+
+        console.log('\nRegistry changes:');
+        console.log(scanner.formatRegistryDiff(changes));
+
+        const { ModuleValidator } = require('./validate-module.js');
+        if (!new ModuleValidator().validateRegistry(result.registry, path.basename(registryPath))) {
+            Logger.error('Updated registry is invalid - not written');
+            process.exit(1);
+        }
+
+        if (args.includes('--dry-run')) {
+            Logger.info('Dry run - registry not written');
+        } else {
+            scanner.saveRegistry(result.registry, registryPath);
+            appendHistory(historyPath, event);
+            Logger.success(`Module ${event.module} ${event.action} by ${event.by} (recorded in ${path.basename(historyPath)})`);
+        }
+        process.exit(0);
+    }
 
     // Validate all modules
     if (args.includes('--validate')) {
+        const format = args.includes('--format') ? args[args.indexOf('--format') + 1] : null;
+        const { ValidationReport, REPORT_FORMATS } = require('./validation-report.js');
+
+        if (format) {
+            if (!REPORT_FORMATS.includes(format)) {
+                Logger.error(`Unknown format "${format}". Supported: ${REPORT_FORMATS.join(', ')}`);
+                process.exit(1);
+            }
+            Logger.toStderr = true;
+            require('./validate-module.js').Logger.toStderr = true;
+        }
+
         Logger.info('Validating all modules...');
         const results = await scanner.validateAllModules();
 
-        console.log('\nValidation Results:');
-        results.forEach(result => {
-            const status = result.valid ? '✓' : '✗';
-            console.log(`  ${status} ${result.repository}`);
-        });
+        if (results.length === 0) {
+            Logger.error('No module.json found - nothing was validated');
+            process.exit(1);
+        }
+
+        if (format) {
+            console.log(new ValidationReport(results).format(format));
+        } else {
+            console.log('\nValidation Results:');
+            results.forEach(result => {
+                const status = result.valid ? '✓' : '✗';
+                console.log(`  ${status} ${result.repository}`);
+            });
+        }
 
         const allValid = results.every(r => r.valid);
         process.exit(allValid ? 0 : 1);
     }
 
+    // Sync central registry
+    if (args.includes('--sync')) {
+        const registryPath = args.includes('--registry') ?
+            path.resolve(args[args.indexOf('--registry') + 1]) : CENTRAL_MODULES_PATH;
+
+        // A local directory holds only some modules: missing ones may still exist in the organization
+        if (scanner.localDir && args.includes('--prune')) {
+            Logger.error('--prune cannot be used with --local: modules missing from the directory are not gone from the organization');
+            process.exit(1);
+        }
+
+        const registry = scanner.loadRegistry(registryPath);
+        const { registry: synced, changes, hasChanges } = await scanner.syncRegistry(registry, {
+            prune: args.includes('--prune')
+        });
+
+        console.log('\nRegistry changes:');
+        console.log(scanner.formatRegistryDiff(changes));
+
+        changes.stale.forEach(({ key, entry }) => {
+            Logger.warning(scanner.localDir ?
+                `${key}: ${entry.content_repo} not found in ${scanner.localDir} (kept in registry)` :
+                `${key}: repository ${entry.content_repo} not found in organization (use --prune to remove)`);
+        });
+
+        if (!hasChanges) {
+            Logger.info('Registry is up to date');
+        } else if (args.includes('--dry-run')) {
+            Logger.info('Dry run - registry not written');
+        } else {
+            const { ModuleValidator } = require('./validate-module.js');
+            if (!new ModuleValidator().validateRegistry(synced, path.basename(registryPath))) {
+                Logger.error('Synced registry is invalid - not written');
+                process.exit(1);
+            }
+
+            scanner.saveRegistry(synced, registryPath);
+            Logger.success(`Registry written to ${registryPath}`);
+        }
+
+        process.exit(0);
+    }
+
+    const statusPath = args.includes('--status-file') ?
+        path.resolve(args[args.indexOf('--status-file') + 1]) : moduleStatus.STATUS_PATH;
+
+    // Record module build result
+    if (args.includes('--record-build')) {
+        const key = args[args.indexOf('--record-build') + 1];
+        const registryPath = args.includes('--registry') ?
+            path.resolve(args[args.indexOf('--registry') + 1]) : CENTRAL_MODULES_PATH;
+        const duration = args.includes('--duration') ? Number(args[args.indexOf('--duration') + 1]) : undefined;
+
+        if (!key || key.startsWith('--')) {
+            Logger.error('Usage: scan-modules.js --record-build <key> --build-status <success|failure>');
+            process.exit(1);
+        }
+
+        const registry = scanner.loadRegistry(registryPath);
+        if (!registry.modules?.[key]) {
+            Logger.error(`Module "${key}" not found in ${path.basename(registryPath)}`);
+            process.exit(1);
+        }
+
+        const status = moduleStatus.loadStatus(statusPath);
+        try {
+            moduleStatus.recordBuild(status, key, {
+                status: args.includes('--build-status') ? args[args.indexOf('--build-status') + 1] : undefined,
+                commit: args.includes('--commit') ? args[args.indexOf('--commit') + 1] : undefined,
+                duration_ms: duration === undefined ? undefined : Math.round(duration * 1000)
+            });
+        } catch (error) {
+            Logger.error(error.message);
+            process.exit(1);
+        }
+
+        moduleStatus.saveStatus(status, statusPath);
+        Logger.success(`Recorded ${status.modules[key].build.status} build of ${key} in ${statusPath}`);
+        process.exit(0);
+    }
+
+    // Check production URLs
+    if (args.includes('--check-urls')) {
+        const status = moduleStatus.loadStatus(statusPath);
+        const checks = await scanner.checkModuleUrls();
+
+        console.log('\nURL checks:');
+        checks.forEach(({ key, reachability }) => {
+            moduleStatus.recordReachability(status, key, reachability);
+
+            const mark = reachability.reachable ? '✓' : '✗';
+            const result = reachability.http_status || reachability.error;
+            console.log(`  ${mark} ${key.padEnd(30)} ${reachability.url} (${result}, ${reachability.response_time_ms}ms)`);
+        });
+
+        const unreachable = checks.filter(({ reachability }) => !reachability.reachable);
+        if (unreachable.length > 0) {
+            Logger.warning(`${unreachable.length} of ${checks.length} module(s) unreachable`);
+        }
+
+        moduleStatus.saveStatus(status, statusPath);
+        Logger.success(`Status written to ${statusPath}`);
+        process.exit(0);
+    }
+
     // Scan specific module
     const moduleIndex = args.indexOf('--module');
     if (moduleIndex !== -1 && moduleIndex + 1 < args.length) {
@@ -403,6 +1677,11 @@ ENVIRONMENT:
     const outputFormat = args.includes('--output') ?
         args[args.indexOf('--output') + 1] : 'pretty';
 
+    // json and legacy output is redirected to files (e.g. for `diff`), keep logs out of it
+    if (outputFormat === 'json' || outputFormat === 'legacy') {
+        Logger.toStderr = true;
+    }
+
     const unified = await scanner.generateUnifiedModules();
 
     switch (outputFormat) {
@@ -419,7 +1698,7 @@ ENVIRONMENT:
             console.log(`Modules found: ${unified.modules.length}\n`);
 
             unified.modules.forEach(module => {
-                const source = module._source || 'unknown';
+                const source = module._ref ? `${module._source}@${module._ref}` : (module._source || 'unknown');
                 console.log(`📦 ${module.name} (${source})`);
                 console.log(`   ${module.title}`);
                 console.log(`   ${module.url}`);
@@ -430,7 +1709,7 @@ ENVIRONMENT:
 }
 
 // Export for testing
-module.exports = { ModuleScanner, GitHubClient, Logger };
+module.exports = { ModuleScanner, GitHubClient, LocalModuleSource, ResponseCache, Logger, parseTimestamp, mergeScannedMetadata };
 
 // Run CLI if called directly
 if (require.main === module) {
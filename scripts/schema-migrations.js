@@ -0,0 +1,73 @@
+/**
+ * module.json schema versions and migrations for InfoTech.io Platform
+ * Every supported version has a schemas/module-<version>.json file. Migrations
+ * move module data one version forward; `migrate` chains them to reach a target.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMAS_DIR = path.join(__dirname, '../schemas');
+const SCHEMA_FILE_PATTERN = /^module-(\d+\.\d+)\.json$/;
+
+const MIGRATIONS = [
+    {
+        from: '1.0',
+        to: '1.1',
+        // 1.1 only adds optional fields (prerequisites, next), so existing data carries over
+        description: 'Set schema_version to 1.1',
+        migrate(moduleData) {
+            return { ...moduleData, schema_version: '1.1' };
+        }
+    }
+];
+
+/**
+ * Compare "major.minor" version strings
+ */
+function compareVersions(a, b) {
+    const [aMajor, aMinor] = a.split('.').map(Number);
+    const [bMajor, bMinor] = b.split('.').map(Number);
+    return aMajor - bMajor || aMinor - bMinor;
+}
+
+/**
+ * List supported schema versions from schemas/module-<version>.json files, oldest first
+ */
+function getSupportedVersions(schemasDir = SCHEMAS_DIR) {
+    return fs.readdirSync(schemasDir)
+        .map(file => file.match(SCHEMA_FILE_PATTERN))
+        .filter(Boolean)
+        .map(match => match[1])
+        .sort(compareVersions);
+}
+
+/**
+ * Path to JSON Schema of given module.json version
+ */
+function getSchemaPath(version, schemasDir = SCHEMAS_DIR) {
+    return path.join(schemasDir, `module-${version}.json`);
+}
+
+/**
+ * Migrate module data forward to target version without modifying the input.
+ * Returns { data, steps } where steps are the applied migrations.
+ */
+function migrate(moduleData, targetVersion) {
+    const steps = [];
+    let data = moduleData;
+
+    while (data.schema_version !== targetVersion) {
+        const step = MIGRATIONS.find(migration => migration.from === data.schema_version);
+        if (!step || compareVersions(step.to, targetVersion) > 0) {
+            throw new Error(`No migration path from schema_version "${moduleData.schema_version}" to "${targetVersion}"`);
+        }
+
+        data = step.migrate(data);
+        steps.push(step);
+    }
+
+    return { data, steps };
+}
+
+module.exports = { MIGRATIONS, compareVersions, getSupportedVersions, getSchemaPath, migrate };
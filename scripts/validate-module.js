@@ -10,9 +10,17 @@ const path = require('path');
 const https = require('https');
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
+const { ValidationReport, REPORT_FORMATS, relativeLocation } = require('./validation-report.js');
+const { RuleEngine } = require('./lint-rules.js');
+const { ModuleFixer, formatLineDiff } = require('./module-fixer.js');
+const { ModuleInitializer } = require('./module-init.js');
+const { getSupportedVersions, getSchemaPath, migrate } = require('./schema-migrations.js');
+const { findInvalidReferences, findCycle } = require('./module-graph.js');
 
 // Configuration
-const SCHEMA_PATH = path.join(__dirname, '../schemas/module.json');
+const REGISTRY_SCHEMA_PATH = path.join(__dirname, '../schemas/registry.json');
+const CENTRAL_MODULES_PATH = path.join(__dirname, '../modules.json');
+const LINT_CONFIG_FILE = '.modulelintrc';
 const ORG_NAME = 'info-tech-io';
 
 /**
@@ -33,8 +41,19 @@ class Logger {
         console.error(`${this.colors.red}✗ ERROR:${this.colors.reset} ${message}`);
     }
 
+    // Send informational output to stderr when stdout carries a machine-readable report
+    static toStderr = false;
+
+    static output(message) {
+        if (this.toStderr) {
+            console.error(message);
+        } else {
+            console.log(message);
+        }
+    }
+
     static success(message) {
-        console.log(`${this.colors.green}✓ SUCCESS:${this.colors.reset} ${message}`);
+        this.output(`${this.colors.green}✓ SUCCESS:${this.colors.reset} ${message}`);
     }
 
     static warning(message) {
@@ -42,12 +61,12 @@ class Logger {
     }
 
     static info(message) {
-        console.log(`${this.colors.blue}ℹ INFO:${this.colors.reset} ${message}`);
+        this.output(`${this.colors.blue}ℹ INFO:${this.colors.reset} ${message}`);
     }
 
     static debug(message) {
         if (process.env.DEBUG) {
-            console.log(`${this.colors.gray}DEBUG:${this.colors.reset} ${message}`);
+            this.output(`${this.colors.gray}DEBUG:${this.colors.reset} ${message}`);
         }
     }
 }
@@ -56,22 +75,31 @@ class Logger {
  * Module JSON validator
  */
 class ModuleValidator {
-    constructor() {
+    constructor(options = {}) {
         this.ajv = new Ajv({ allErrors: true, verbose: true });
         addFormats(this.ajv);
+        this.schemas = new Map();
         this.schema = null;
-        this.loadSchema();
+        this.latestVersion = null;
+        this.strict = options.strict || false;
+        this.loadSchemas();
+        this.loadRules(options.configPath);
     }
 
     /**
-     * Load JSON Schema
+     * Load JSON Schema of every supported module.json version.
+     * `schema` holds the latest one, used for new modules.
      */
-    loadSchema() {
+    loadSchemas() {
         try {
-            const schemaContent = fs.readFileSync(SCHEMA_PATH, 'utf8');
-            this.schema = JSON.parse(schemaContent);
-            this.validate = this.ajv.compile(this.schema);
-            Logger.debug('JSON Schema loaded successfully');
+            getSupportedVersions().forEach(version => {
+                const schema = JSON.parse(fs.readFileSync(getSchemaPath(version), 'utf8'));
+                this.schemas.set(version, { schema, validate: this.ajv.compile(schema) });
+            });
+
+            this.latestVersion = Array.from(this.schemas.keys()).pop();
+            this.schema = this.schemas.get(this.latestVersion).schema;
+            Logger.debug(`JSON Schemas loaded successfully (${Array.from(this.schemas.keys()).join(', ')})`);
         } catch (error) {
             Logger.error(`Failed to load schema: ${error.message}`);
             process.exit(1);
@@ -79,105 +107,478 @@ class ModuleValidator {
     }
 
     /**
-     * Validate module.json content
+     * Compiled schema validator for the module's schema_version, null when unsupported
+     */
+    getValidator(moduleData) {
+        return this.schemas.get(moduleData?.schema_version)?.validate || null;
+    }
+
+    /**
+     * Find deprecated schema version and properties used by a schema-valid module
      */
-    validateModule(moduleData, moduleName = 'unknown') {
+    findDeprecations(moduleData) {
+        const deprecations = [];
+        const { schema_version: version } = moduleData;
+
+        if (version !== this.latestVersion) {
+            deprecations.push({
+                path: '/schema_version',
+                message: `schema_version "${version}" is deprecated - run --migrate --to ${this.latestVersion}`
+            });
+        }
+
+        const walk = (schema, data, pointer) => {
+            if (!schema?.properties || data === null || typeof data !== 'object') {
+                return;
+            }
+
+            Object.entries(schema.properties).forEach(([key, property]) => {
+                if (!(key in data)) {
+                    return;
+                }
+                if (property.deprecated) {
+                    deprecations.push({ path: `${pointer}/${key}`, message: `${pointer}/${key} is deprecated: ${property.description}` });
+                }
+                walk(property, data[key], `${pointer}/${key}`);
+            });
+        };
+        walk(this.schemas.get(version).schema, moduleData, '');
+
+        return deprecations;
+    }
+
+    /**
+     * Load semantic lint rules configured by the registry and .modulelintrc
+     */
+    loadRules(configPath = null) {
+        const rcPath = configPath || path.resolve(LINT_CONFIG_FILE);
+
+        if (configPath && !fs.existsSync(configPath)) {
+            Logger.error(`Lint config not found: ${configPath}`);
+            process.exit(1);
+        }
+
+        try {
+            this.rules = new RuleEngine(RuleEngine.loadConfig({ registryPath: CENTRAL_MODULES_PATH, rcPath }));
+            Logger.debug(`Lint rules loaded (platform Hugo ${this.rules.platform.hugo_version})`);
+        } catch (error) {
+            Logger.error(`Failed to load lint rules: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Load registry JSON Schema on first use
+     */
+    loadRegistrySchema() {
+        if (this.validateRegistrySchema) {
+            return;
+        }
+
+        try {
+            const schemaContent = fs.readFileSync(REGISTRY_SCHEMA_PATH, 'utf8');
+            this.validateRegistrySchema = this.ajv.compile(JSON.parse(schemaContent));
+            Logger.debug('Registry JSON Schema loaded successfully');
+        } catch (error) {
+            Logger.error(`Failed to load registry schema: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Validate module.json content.
+     * Returns { name, location, valid, errors, warnings } - errors carry JSON pointer
+     * paths with the failing schema keyword, warnings carry the semantic rule id.
+     */
+    validateModule(moduleData, moduleName = 'unknown', location = null) {
         Logger.info(`Validating module: ${moduleName}`);
 
-        // Schema validation
-        const isValid = this.validate(moduleData);
+        const result = { name: moduleName, location, valid: true, errors: [], warnings: [] };
+
+        // Schema validation against the module's schema version
+        const validate = this.getValidator(moduleData);
+        if (!validate) {
+            const supported = Array.from(this.schemas.keys()).join(', ');
+            result.valid = false;
+            result.errors.push({
+                path: '/schema_version',
+                keyword: 'schema_version',
+                message: `Unsupported schema_version ${JSON.stringify(moduleData?.schema_version)}. Supported: ${supported}`,
+                expected: Array.from(this.schemas.keys()),
+                actual: moduleData?.schema_version
+            });
+            Logger.error(`Schema validation failed for ${moduleName}: ${result.errors[0].message}`);
+            return result;
+        }
+
+        if (!validate(moduleData)) {
+            result.valid = false;
+            result.errors = validate.errors.map(error => this.formatSchemaError(error));
 
-        if (!isValid) {
             Logger.error(`Schema validation failed for ${moduleName}:`);
-            this.validate.errors.forEach(error => {
+            validate.errors.forEach(error => {
                 const path = error.instancePath || 'root';
                 Logger.error(`  ${path}: ${error.message}`);
                 if (error.data !== undefined) {
                     Logger.error(`    Current value: ${JSON.stringify(error.data)}`);
                 }
             });
-            return false;
+            return result;
         }
 
+        this.findDeprecations(moduleData).forEach(({ path, message }) => {
+            result.warnings.push({ rule: 'schema/deprecated', keyword: 'deprecated', path, message });
+            Logger.warning(message);
+        });
+
+        this.checkLearningPath(moduleData).forEach(error => {
+            result.errors.push(error);
+            Logger.error(`${error.path}: ${error.message}`);
+        });
+
         // Additional semantic validations
-        const warnings = this.performSemanticValidation(moduleData);
-        if (warnings.length > 0) {
-            warnings.forEach(warning => Logger.warning(warning));
+        this.performSemanticValidation(moduleData).forEach(({ rule, severity, path, message }) => {
+            if (severity === 'error') {
+                result.errors.push({ path, keyword: 'rule', rule, message });
+                Logger.error(`[${rule}] ${message}`);
+            } else {
+                result.warnings.push({ rule, path, message });
+                Logger.warning(`[${rule}] ${message}`);
+            }
+        });
+
+        // --strict: warnings become errors, so every report format counts and lists them
+        if (this.strict && result.warnings.length > 0) {
+            Logger.error(`Module ${moduleName} has ${result.warnings.length} warning(s) (--strict)`);
+            result.errors.push(...result.warnings.map(({ rule, keyword = 'rule', path, message }) => ({ path, keyword, rule, message })));
+            result.warnings = [];
+        }
+
+        if (result.errors.length > 0) {
+            result.valid = false;
+            Logger.error(`Module ${moduleName} failed ${result.errors.length} check(s)`);
+            return result;
         }
 
         Logger.success(`Module ${moduleName} passed validation`);
-        return true;
+        return result;
     }
 
     /**
-     * Perform additional semantic validations
+     * Learning path links of registry modules keyed by module name, loaded on first use.
+     * Null when the registry can't be read.
      */
-    performSemanticValidation(moduleData) {
-        const warnings = [];
+    loadRegistryGraph() {
+        if (this.registryGraph !== undefined) {
+            return this.registryGraph;
+        }
+
+        this.registryGraph = null;
+        try {
+            const { modules = {} } = JSON.parse(fs.readFileSync(CENTRAL_MODULES_PATH, 'utf8'));
+            const toName = key => key.replace(/_/g, '-');
+
+            this.registryGraph = Object.fromEntries(Object.entries(modules).map(([key, module]) => [toName(key), {
+                prerequisites: (module.prerequisites || []).map(toName),
+                next: (module.next || []).map(toName)
+            }]));
+        } catch (error) {
+            Logger.debug(`Registry not available for learning path checks: ${error.message}`);
+        }
+
+        return this.registryGraph;
+    }
 
-        // Check if subdomain matches module name
-        if (moduleData.deployment?.subdomain !== moduleData.name) {
-            warnings.push(`Subdomain "${moduleData.deployment?.subdomain}" doesn't match module name "${moduleData.name}"`);
+    /**
+     * Check that prerequisites/next reference registry modules and don't form a cycle
+     */
+    checkLearningPath(moduleData) {
+        const links = { prerequisites: moduleData.prerequisites || [], next: moduleData.next || [] };
+        if (links.prerequisites.length === 0 && links.next.length === 0) {
+            return [];
         }
 
-        // Check if repository name follows convention
-        const expectedRepo = `mod_${moduleData.name.replace(/-/g, '_')}`;
-        if (moduleData.deployment?.repository !== expectedRepo) {
-            warnings.push(`Repository name "${moduleData.deployment?.repository}" doesn't follow convention. Expected: "${expectedRepo}"`);
+        const registryGraph = this.loadRegistryGraph();
+        const graph = { ...registryGraph, [moduleData.name]: links };
+        const errors = [];
+
+        findInvalidReferences(graph)
+            .filter(({ from, ref }) => from === moduleData.name && (registryGraph || ref === from))
+            .forEach(({ field, ref }) => {
+                errors.push({
+                    path: `/${field}/${links[field].indexOf(ref)}`,
+                    keyword: 'reference',
+                    message: ref === moduleData.name
+                        ? `Module references itself in ${field}`
+                        : `Unknown module "${ref}" in ${field} (not found in modules.json)`,
+                    actual: ref
+                });
+            });
+
+        const cycle = findCycle(graph);
+        if (cycle && cycle.includes(moduleData.name)) {
+            errors.push({
+                path: links.prerequisites.length > 0 ? '/prerequisites' : '/next',
+                keyword: 'cycle',
+                message: `Learning path has a cycle: ${cycle.join(' → ')}`
+            });
         }
 
-        // Check production URL format
-        const expectedUrl = `https://${moduleData.name}.infotecha.ru`;
-        if (moduleData.urls?.production !== expectedUrl) {
-            warnings.push(`Production URL "${moduleData.urls?.production}" doesn't match expected format: "${expectedUrl}"`);
+        return errors;
+    }
+
+    /**
+     * Convert Ajv error to structured validation error
+     */
+    formatSchemaError(error) {
+        // Point at the offending property rather than its parent object
+        const property = error.params.missingProperty ?? error.params.additionalProperty;
+        const pointer = property !== undefined ? `${error.instancePath}/${property}` : error.instancePath;
+
+        return {
+            path: pointer,
+            keyword: error.keyword,
+            message: error.message,
+            expected: error.keyword === 'required' ? property : error.schema,
+            actual: property !== undefined ? error.data?.[property] : error.data
+        };
+    }
+
+    /**
+     * Build failed result for modules that couldn't be read or parsed
+     */
+    failedResult(moduleName, location, keyword, message) {
+        Logger.error(message);
+        return {
+            name: moduleName,
+            location,
+            valid: false,
+            errors: [{ path: '', keyword, message }],
+            warnings: []
+        };
+    }
+
+    /**
+     * Perform additional semantic validations through configured lint rules
+     */
+    performSemanticValidation(moduleData) {
+        return this.rules.run(moduleData);
+    }
+
+    /**
+     * Validate central modules.json registry content
+     */
+    validateRegistry(registry, registryName = 'modules.json') {
+        Logger.info(`Validating registry: ${registryName}`);
+        this.loadRegistrySchema();
+
+        if (!this.validateRegistrySchema(registry)) {
+            Logger.error(`Schema validation failed for ${registryName}:`);
+            this.validateRegistrySchema.errors.forEach(error => {
+                const path = error.instancePath || 'root';
+                Logger.error(`  ${path}: ${error.message}`);
+                if (error.propertyName !== undefined) {
+                    Logger.error(`    Property name: ${JSON.stringify(error.propertyName)}`);
+                }
+            });
+            return false;
         }
 
-        // Check if license is specified
-        if (!moduleData.metadata?.license) {
-            warnings.push('License not specified - consider adding one');
+        const errors = this.checkRegistryInvariants(registry);
+        if (errors.length > 0) {
+            Logger.error(`Registry invariants violated in ${registryName}:`);
+            errors.forEach(error => Logger.error(`  ${error}`));
+            return false;
         }
 
-        // Check Hugo version currency
-        if (moduleData.hugo_config?.hugo_version && moduleData.hugo_config.hugo_version !== '0.148.0') {
-            warnings.push(`Hugo version ${moduleData.hugo_config.hugo_version} differs from current platform version 0.148.0`);
+        const moduleCount = Object.keys(registry.modules).length;
+        Logger.success(`Registry ${registryName} passed validation (${moduleCount} modules)`);
+        return true;
+    }
+
+    /**
+     * Check cross-entry registry invariants not expressible in JSON Schema
+     */
+    checkRegistryInvariants(registry) {
+        const errors = [];
+        const subdomains = new Map();
+
+        for (const [key, module] of Object.entries(registry.modules)) {
+            const expectedRepo = `mod_${key}`;
+            if (module.content_repo !== expectedRepo) {
+                errors.push(`/modules/${key}: content_repo "${module.content_repo}" doesn't follow convention. Expected: "${expectedRepo}"`);
+            }
+
+            const expectedSubdomain = key.replace(/_/g, '-');
+            if (module.subdomain !== expectedSubdomain) {
+                errors.push(`/modules/${key}: subdomain "${module.subdomain}" doesn't match module key. Expected: "${expectedSubdomain}"`);
+            }
+
+            if (module.replacement === key) {
+                errors.push(`/modules/${key}/replacement: module replaces itself`);
+            } else if (module.replacement && !Object.prototype.hasOwnProperty.call(registry.modules, module.replacement)) {
+                errors.push(`/modules/${key}/replacement: unknown module "${module.replacement}"`);
+            }
+
+            if (subdomains.has(module.subdomain)) {
+                errors.push(`/modules/${key}: subdomain "${module.subdomain}" is already used by "${subdomains.get(module.subdomain)}"`);
+            } else {
+                subdomains.set(module.subdomain, key);
+            }
         }
 
-        // Check tag count
-        if (moduleData.metadata?.tags && moduleData.metadata.tags.length < 3) {
-            warnings.push('Consider adding more tags (3-5 recommended) for better categorization');
+        findInvalidReferences(registry.modules).forEach(({ from, field, ref }) => {
+            errors.push(ref === from
+                ? `/modules/${from}/${field}: module references itself`
+                : `/modules/${from}/${field}: unknown module "${ref}"`);
+        });
+
+        const cycle = findCycle(registry.modules);
+        if (cycle) {
+            errors.push(`Learning path has a cycle: ${cycle.join(' → ')}`);
         }
 
-        return warnings;
+        return errors;
     }
 
     /**
-     * Validate module from file path
+     * Validate central registry from file path
      */
-    async validateFromFile(filePath) {
+    async validateRegistryFromFile(filePath) {
         try {
             if (!fs.existsSync(filePath)) {
                 Logger.error(`File not found: ${filePath}`);
                 return false;
             }
 
+            const registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return this.validateRegistry(registry, path.basename(filePath));
+        } catch (error) {
+            Logger.error(`Failed to read/parse file ${filePath}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Validate module from file path
+     */
+    async validateFromFile(filePath) {
+        const moduleName = path.basename(path.dirname(path.resolve(filePath))) || 'unknown';
+        const location = relativeLocation(filePath);
+
+        try {
+            if (!fs.existsSync(filePath)) {
+                return this.failedResult(moduleName, location, 'file', `File not found: ${filePath}`);
+            }
+
             const content = fs.readFileSync(filePath, 'utf8');
             const moduleData = JSON.parse(content);
-            const moduleName = path.basename(path.dirname(filePath)) || 'unknown';
 
-            return this.validateModule(moduleData, moduleName);
+            return this.validateModule(moduleData, moduleName, location);
         } catch (error) {
-            Logger.error(`Failed to read/parse file ${filePath}: ${error.message}`);
-            return false;
+            return this.failedResult(moduleName, location, 'parse', `Failed to read/parse file ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply safe automatic fixes to module.json file and validate the result
+     */
+    async fixFile(filePath, { dryRun = false } = {}) {
+        const moduleName = path.basename(path.dirname(path.resolve(filePath))) || 'unknown';
+        const location = relativeLocation(filePath);
+
+        let content;
+        let moduleData;
+        try {
+            content = fs.readFileSync(filePath, 'utf8');
+            moduleData = JSON.parse(content);
+        } catch (error) {
+            return this.failedResult(moduleName, location, 'parse', `Failed to read/parse file ${filePath}: ${error.message}`);
+        }
+
+        const fixer = new ModuleFixer(this);
+        const { changes, unfixed } = fixer.fix(moduleData);
+
+        if (changes.length === 0) {
+            Logger.info(`Nothing to fix in ${filePath}`);
+        } else {
+            Logger.info(`${dryRun ? 'Would apply' : 'Applied'} ${changes.length} fix(es) to ${filePath}:`);
+            changes.forEach(change => {
+                const to = change.to === undefined ? '(removed)' : JSON.stringify(change.to);
+                Logger.info(`  ${change.path}: ${JSON.stringify(change.from)} → ${to} (${change.reason})`);
+            });
+
+            const fixedContent = fixer.serialize(moduleData, content);
+            if (dryRun) {
+                console.log(`--- ${location}\n+++ ${location} (fixed)\n${formatLineDiff(content, fixedContent)}`);
+            } else {
+                fs.writeFileSync(filePath, fixedContent, 'utf8');
+            }
         }
+
+        if (unfixed.length > 0) {
+            Logger.info(`${unfixed.length} issue(s) can't be fixed automatically: ${unfixed.map(finding => finding.rule).join(', ')}`);
+        }
+
+        return this.validateModule(moduleData, moduleName, location);
+    }
+
+    /**
+     * Migrate module.json file forward to target schema version and validate the result
+     */
+    async migrateFile(filePath, { to = this.latestVersion, dryRun = false } = {}) {
+        const moduleName = path.basename(path.dirname(path.resolve(filePath))) || 'unknown';
+        const location = relativeLocation(filePath);
+
+        if (!this.schemas.has(to)) {
+            return this.failedResult(moduleName, location, 'schema_version',
+                `Unknown target schema version "${to}". Supported: ${Array.from(this.schemas.keys()).join(', ')}`);
+        }
+
+        let content;
+        let moduleData;
+        try {
+            content = fs.readFileSync(filePath, 'utf8');
+            moduleData = JSON.parse(content);
+        } catch (error) {
+            return this.failedResult(moduleName, location, 'parse', `Failed to read/parse file ${filePath}: ${error.message}`);
+        }
+
+        let migrated;
+        try {
+            migrated = migrate(moduleData, to);
+        } catch (error) {
+            return this.failedResult(moduleName, location, 'schema_version', error.message);
+        }
+
+        if (migrated.steps.length === 0) {
+            Logger.info(`${filePath} already uses schema_version ${to}`);
+        } else {
+            Logger.info(`${dryRun ? 'Would migrate' : 'Migrated'} ${filePath} from ${moduleData.schema_version} to ${to}:`);
+            migrated.steps.forEach(step => Logger.info(`  ${step.from} → ${step.to}: ${step.description}`));
+
+            const migratedContent = new ModuleFixer(this).serialize(migrated.data, content);
+            if (dryRun) {
+                console.log(`--- ${location}\n+++ ${location} (schema ${to})\n${formatLineDiff(content, migratedContent)}`);
+            } else {
+                fs.writeFileSync(filePath, migratedContent, 'utf8');
+            }
+        }
+
+        return this.validateModule(migrated.data, moduleName, location);
     }
 
     /**
      * Validate module from URL
      */
     async validateFromUrl(url) {
-        return new Promise((resolve, reject) => {
+        return new Promise((resolve) => {
             Logger.info(`Fetching module from: ${url}`);
 
+            const urlParts = url.split('/');
+            const repoIndex = urlParts.findIndex(part => part.startsWith('mod_'));
+            const moduleName = repoIndex !== -1 ? urlParts[repoIndex] : 'unknown';
+
             https.get(url, (response) => {
                 let data = '';
 
@@ -188,20 +589,13 @@ class ModuleValidator {
                 response.on('end', () => {
                     try {
                         const moduleData = JSON.parse(data);
-                        const urlParts = url.split('/');
-                        const repoIndex = urlParts.findIndex(part => part.startsWith('mod_'));
-                        const moduleName = repoIndex !== -1 ? urlParts[repoIndex] : 'unknown';
-
-                        const isValid = this.validateModule(moduleData, moduleName);
-                        resolve(isValid);
+                        resolve(this.validateModule(moduleData, moduleName, url));
                     } catch (error) {
-                        Logger.error(`Failed to parse JSON from URL: ${error.message}`);
-                        resolve(false);
+                        resolve(this.failedResult(moduleName, url, 'parse', `Failed to parse JSON from URL: ${error.message}`));
                     }
                 });
             }).on('error', (error) => {
-                Logger.error(`Failed to fetch URL: ${error.message}`);
-                resolve(false);
+                resolve(this.failedResult(moduleName, url, 'fetch', `Failed to fetch URL: ${error.message}`));
             });
         });
     }
@@ -211,7 +605,7 @@ class ModuleValidator {
      */
     generateTemplate() {
         const template = {
-            "schema_version": "1.0",
+            "schema_version": "1.1",
             "name": "{{MODULE_NAME}}",
             "title": "{{MODULE_TITLE}}",
             "description": "{{MODULE_DESCRIPTION}}",
@@ -228,7 +622,7 @@ class ModuleValidator {
                 "template": "default",
                 "theme": "compose",
                 "components": ["quiz-engine"],
-                "hugo_version": "0.148.0"
+                "hugo_version": this.rules.platform.hugo_version
             },
 
             "metadata": {
@@ -266,21 +660,52 @@ async function main() {
 Module Validator for InfoTech.io Platform
 
 USAGE:
-  validate-module.js <file_path>           Validate local module.json file
+  validate-module.js <file_path>...        Validate local module.json file(s)
   validate-module.js --url <url>           Validate remote module.json file
+  validate-module.js --registry <path>     Validate central modules.json registry
+  validate-module.js --fix <file_path>     Apply safe automatic fixes to module.json
+  validate-module.js --migrate <file_path> Migrate module.json to a newer schema version
   validate-module.js --template            Generate module.json template
+  validate-module.js init [options]        Create a new module.json (interactive or from flags)
   validate-module.js --help                Show this help
 
 EXAMPLES:
   validate-module.js ./module.json
   validate-module.js --url https://raw.githubusercontent.com/info-tech-io/mod_linux_base/main/module.json
   validate-module.js --template > template.json
+  validate-module.js --registry modules.json
+  validate-module.js ./module.json --format sarif > results.sarif
+  validate-module.js --fix ./module.json --dry-run
+  validate-module.js --migrate ./module.json --to 1.1
+  validate-module.js init --dir ../mod_docker_intro --content
+  validate-module.js init --yes --name docker-intro --title "Основы Docker" \\
+      --description "Контейнеризация приложений с Docker" --tags docker,containers,devops
 
 OPTIONS:
-  --url <url>      Validate module from URL
-  --template       Generate module.json template
-  --verbose        Enable verbose output
-  --help, -h       Show help
+  --url <url>        Validate module from URL
+  --registry <path>  Validate central registry (schema, unique subdomains, naming)
+  --template         Generate module.json template
+  --fix <path>       Fix derived fields, tags and unknown properties in place
+  --migrate <path>   Rewrite module.json through registered schema migrations
+  --to <version>     With --migrate, target schema version (default: latest)
+  --dry-run          With --fix or --migrate, print the patch without writing the file
+  --strict           Treat lint warnings as failures
+  --config <path>    Lint config file (default: ./.modulelintrc)
+  --format <format>  Print machine-readable report: json, junit, sarif
+                     (log output moves to stderr)
+  --verbose          Enable verbose output
+  --help, -h         Show help
+
+INIT OPTIONS:
+  --name, --title, --description, --type, --difficulty, --language,
+  --estimated-time, --author, --license, --build-system
+                     Module fields (prompted for when missing in a terminal)
+  --tags <a,b,c>     Comma-separated tags (normalized to kebab-case)
+  --components <a,b> Comma-separated Hugo components (default: quiz-engine)
+  --dir <path>       Directory to create module.json in (default: current)
+  --content          Also create a starter Hugo content/ skeleton
+  --force            Overwrite an existing module.json
+  --yes              Never prompt; use flags and defaults only
         `);
         process.exit(0);
     }
@@ -290,7 +715,68 @@ OPTIONS:
         process.env.DEBUG = 'true';
     }
 
-    const validator = new ModuleValidator();
+    const format = args.includes('--format') ? args[args.indexOf('--format') + 1] : null;
+    if (format) {
+        if (!REPORT_FORMATS.includes(format)) {
+            Logger.error(`Unknown format "${format}". Supported: ${REPORT_FORMATS.join(', ')}`);
+            process.exit(1);
+        }
+        Logger.toStderr = true;
+    }
+
+    // Print report when requested and exit with validation status
+    const finish = (results) => {
+        const report = new ValidationReport(results);
+        if (format) {
+            console.log(report.format(format));
+        }
+        process.exit(report.valid ? 0 : 1);
+    };
+
+    const validator = new ModuleValidator({
+        strict: args.includes('--strict'),
+        configPath: args.includes('--config') ? args[args.indexOf('--config') + 1] : null
+    });
+
+    // Create new module.json
+    if (args[0] === 'init') {
+        const initializer = new ModuleInitializer(validator);
+        const dir = path.resolve(args.includes('--dir') ? args[args.indexOf('--dir') + 1] : '.');
+        const targetPath = path.join(dir, 'module.json');
+
+        if (fs.existsSync(targetPath) && !args.includes('--force')) {
+            Logger.error(`${targetPath} already exists (use --force to overwrite)`);
+            process.exit(1);
+        }
+
+        let answers;
+        try {
+            answers = await initializer.collectAnswers(args, {
+                interactive: Boolean(process.stdin.isTTY) && !args.includes('--yes')
+            });
+        } catch (error) {
+            Logger.error(error.message);
+            process.exit(1);
+        }
+
+        const moduleData = initializer.buildModule(answers);
+        const result = validator.validateModule(moduleData, moduleData.name, relativeLocation(targetPath));
+        if (!result.valid) {
+            Logger.error('module.json was not written - correct the values above and run init again');
+            process.exit(1);
+        }
+
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(targetPath, `${JSON.stringify(moduleData, null, 2)}\n`, 'utf8');
+        Logger.success(`Created ${targetPath}`);
+
+        if (args.includes('--content')) {
+            initializer.createContentSkeleton(dir, moduleData)
+                .forEach(filePath => Logger.success(`Created ${filePath}`));
+        }
+
+        process.exit(0);
+    }
 
     // Generate template
     if (args.includes('--template')) {
@@ -298,19 +784,48 @@ OPTIONS:
         process.exit(0);
     }
 
+    // Validate central registry
+    const registryIndex = args.indexOf('--registry');
+    if (registryIndex !== -1 && registryIndex + 1 < args.length) {
+        const isValid = await validator.validateRegistryFromFile(args[registryIndex + 1]);
+        process.exit(isValid ? 0 : 1);
+    }
+
+    // Fix module file
+    const fixIndex = args.indexOf('--fix');
+    if (fixIndex !== -1 && fixIndex + 1 < args.length) {
+        const result = await validator.fixFile(args[fixIndex + 1], { dryRun: args.includes('--dry-run') });
+        process.exit(result.valid ? 0 : 1);
+    }
+
+    // Migrate module file to newer schema version
+    const migrateIndex = args.indexOf('--migrate');
+    if (migrateIndex !== -1 && migrateIndex + 1 < args.length) {
+        const result = await validator.migrateFile(args[migrateIndex + 1], {
+            to: args.includes('--to') ? args[args.indexOf('--to') + 1] : undefined,
+            dryRun: args.includes('--dry-run')
+        });
+        process.exit(result.valid ? 0 : 1);
+    }
+
     // Validate from URL
     const urlIndex = args.indexOf('--url');
     if (urlIndex !== -1 && urlIndex + 1 < args.length) {
         const url = args[urlIndex + 1];
-        const isValid = await validator.validateFromUrl(url);
-        process.exit(isValid ? 0 : 1);
+        finish([await validator.validateFromUrl(url)]);
     }
 
-    // Validate from file
-    const filePath = args[0];
-    if (filePath && !filePath.startsWith('--')) {
-        const isValid = await validator.validateFromFile(filePath);
-        process.exit(isValid ? 0 : 1);
+    // Validate from file(s)
+    const optionsWithValues = ['--format', '--config'];
+    const filePaths = args.filter((arg, index) =>
+        !arg.startsWith('--') && !optionsWithValues.includes(args[index - 1]));
+
+    if (filePaths.length > 0) {
+        const results = [];
+        for (const filePath of filePaths) {
+            results.push(await validator.validateFromFile(filePath));
+        }
+        finish(results);
     }
 
     Logger.error('Invalid arguments. Use --help for usage information.');
@@ -0,0 +1,291 @@
+/**
+ * Validation Report for InfoTech.io Platform
+ * Renders structured module validation results as JSON, JUnit XML or SARIF
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RULES } = require('./lint-rules.js');
+
+const REPORT_FORMATS = ['json', 'junit', 'sarif'];
+const TOOL_NAME = 'infotecha-validate-module';
+const TOOL_URI = 'https://github.com/info-tech-io/infotecha';
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Map JSON pointers to 1-based line numbers in JSON source text.
+ * Object members map to the line of their key, array items to the line of the value.
+ * Expects text that JSON.parse() already accepted.
+ */
+function buildJsonLineMap(text) {
+    const lines = new Map();
+    let pos = 0;
+    let line = 1;
+
+    const skipWhitespace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) {
+            if (text[pos] === '\n') {
+                line++;
+            }
+            pos++;
+        }
+    };
+
+    const readString = () => {
+        const start = pos++;
+        while (text[pos] !== '"') {
+            pos += text[pos] === '\\' ? 2 : 1;
+        }
+        pos++;
+        return JSON.parse(text.slice(start, pos));
+    };
+
+    const readValue = (pointer) => {
+        skipWhitespace();
+        if (!lines.has(pointer)) {
+            lines.set(pointer, line);
+        }
+
+        const char = text[pos];
+
+        if (char === '{' || char === '[') {
+            const isObject = char === '{';
+            const close = isObject ? '}' : ']';
+            let index = 0;
+            pos++;
+            skipWhitespace();
+
+            while (text[pos] !== close) {
+                let childPointer;
+                if (isObject) {
+                    const keyLine = line;
+                    const key = readString();
+                    childPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+                    lines.set(childPointer, keyLine);
+                    skipWhitespace();
+                    pos++; // colon
+                } else {
+                    childPointer = `${pointer}/${index++}`;
+                }
+
+                readValue(childPointer);
+                skipWhitespace();
+                if (text[pos] === ',') {
+                    pos++;
+                    skipWhitespace();
+                }
+            }
+
+            pos++;
+            return;
+        }
+
+        if (char === '"') {
+            readString();
+            return;
+        }
+
+        while (pos < text.length && !/[\s,\]}]/.test(text[pos])) {
+            pos++;
+        }
+    };
+
+    readValue('');
+    return lines;
+}
+
+/**
+ * Validation report over one or more module validation results
+ */
+class ValidationReport {
+    constructor(results) {
+        this.results = results;
+    }
+
+    /**
+     * Check whether every module passed validation
+     */
+    get valid() {
+        return this.results.every(result => result.valid);
+    }
+
+    /**
+     * Render report in requested format
+     */
+    format(format) {
+        switch (format) {
+            case 'json':
+                return this.toJson();
+            case 'junit':
+                return this.toJunit();
+            case 'sarif':
+                return this.toSarif();
+            default:
+                throw new Error(`Unknown report format "${format}". Supported: ${REPORT_FORMATS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Plain JSON report
+     */
+    toJson() {
+        const report = {
+            valid: this.valid,
+            generated_at: new Date().toISOString(),
+            summary: {
+                modules: this.results.length,
+                failed: this.results.filter(result => !result.valid).length,
+                errors: this.results.reduce((sum, result) => sum + result.errors.length, 0),
+                warnings: this.results.reduce((sum, result) => sum + result.warnings.length, 0)
+            },
+            results: this.results
+        };
+
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * JUnit XML report - one test case per module, warnings go to system-out
+     */
+    toJunit() {
+        const failures = this.results.filter(result => !result.valid).length;
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="module.json validation" tests="${this.results.length}" failures="${failures}">`,
+            `  <testsuite name="${TOOL_NAME}" tests="${this.results.length}" failures="${failures}" errors="0">`
+        ];
+
+        this.results.forEach(result => {
+            const classname = escapeXml(result.location || result.name);
+            lines.push(`    <testcase classname="${classname}" name="${escapeXml(result.name)}">`);
+
+            if (!result.valid) {
+                const details = result.errors
+                    .map(error => `${error.rule ? `[${error.rule}] ` : ''}${error.path || '/'}: ${error.message}`)
+                    .join('\n');
+                lines.push(`      <failure message="${escapeXml(`${result.errors.length} validation error(s)`)}" type="validation">${escapeXml(details)}</failure>`);
+            }
+
+            if (result.warnings.length > 0) {
+                const details = result.warnings
+                    .map(warning => `[${warning.rule}] ${warning.message}`)
+                    .join('\n');
+                lines.push(`      <system-out>${escapeXml(details)}</system-out>`);
+            }
+
+            lines.push('    </testcase>');
+        });
+
+        lines.push('  </testsuite>', '</testsuites>');
+        return lines.join('\n');
+    }
+
+    /**
+     * SARIF 2.1.0 report for code scanning annotations
+     */
+    toSarif() {
+        const rules = new Map();
+        const sarifResults = [];
+
+        this.results.forEach(result => {
+            const lineMap = this.getLineMap(result);
+            const findings = [
+                ...result.errors.map(error => ({ ...error, ruleId: error.rule || `schema/${error.keyword}`, level: 'error' })),
+                ...result.warnings.map(warning => ({ ...warning, ruleId: warning.rule, level: 'warning' }))
+            ];
+
+            findings.forEach(finding => {
+                if (!rules.has(finding.ruleId)) {
+                    const lintRule = RULES.find(rule => rule.id === finding.ruleId);
+                    rules.set(finding.ruleId, {
+                        id: finding.ruleId,
+                        shortDescription: { text: lintRule ? lintRule.description : `JSON Schema "${finding.keyword}" keyword` },
+                        defaultConfiguration: { level: finding.level }
+                    });
+                }
+
+                const physicalLocation = {
+                    artifactLocation: { uri: result.location || result.name }
+                };
+
+                const startLine = lineMap && this.findLine(lineMap, finding.path || '');
+                if (startLine) {
+                    physicalLocation.region = { startLine };
+                }
+
+                sarifResults.push({
+                    ruleId: finding.ruleId,
+                    level: finding.level,
+                    message: { text: `${finding.path || '/'}: ${finding.message}` },
+                    locations: [{ physicalLocation }]
+                });
+            });
+        });
+
+        const sarif = {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: TOOL_NAME,
+                        informationUri: TOOL_URI,
+                        rules: Array.from(rules.values())
+                    }
+                },
+                results: sarifResults
+            }]
+        };
+
+        return JSON.stringify(sarif, null, 2);
+    }
+
+    /**
+     * Build pointer-to-line map for results validated from a local file
+     */
+    getLineMap(result) {
+        if (!result.location || !fs.existsSync(result.location)) {
+            return null;
+        }
+
+        try {
+            const text = fs.readFileSync(result.location, 'utf8');
+            JSON.parse(text);
+            return buildJsonLineMap(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Find line for JSON pointer, falling back to the closest existing parent
+     */
+    findLine(lineMap, pointer) {
+        let current = pointer;
+        while (!lineMap.has(current) && current !== '') {
+            current = current.slice(0, current.lastIndexOf('/'));
+        }
+        return lineMap.get(current) || null;
+    }
+}
+
+/**
+ * Make result location relative to working directory for report output
+ */
+function relativeLocation(filePath) {
+    const relative = path.relative(process.cwd(), filePath);
+    return relative.startsWith('..') ? filePath : relative.split(path.sep).join('/');
+}
+
+module.exports = { ValidationReport, REPORT_FORMATS, buildJsonLineMap, relativeLocation };
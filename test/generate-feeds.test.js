@@ -0,0 +1,116 @@
+/**
+ * generate-feeds.js: feeds from the registry and scanned module metadata
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mergeScannedMetadata } = require('../scripts/scan-modules.js');
+
+const GENERATOR = path.join(__dirname, '../scripts/generate-feeds.js');
+const REGISTRY_FIXTURE = path.join(__dirname, 'fixtures/registry.json');
+
+// Unified 2.0 output as written by `scan-modules.js --output json`
+const UNIFIED = {
+    version: '2.0',
+    generated_at: '2025-10-01T12:00:00.000Z',
+    modules: [
+        {
+            name: 'linux-base',
+            title: 'Linux Basics',
+            repository: 'mod_linux_base',
+            version: '1.2.0',
+            difficulty: 'beginner',
+            language: 'ru',
+            author: 'InfoTech.io Team',
+            tags: ['linux', 'cli'],
+            _source: 'module.json'
+        },
+        {
+            name: 'docker-intro',
+            title: 'Основы Docker',
+            repository: 'mod_docker_intro',
+            version: '0.1.0',
+            tags: ['docker'],
+            _source: 'module.json'
+        }
+    ]
+};
+
+describe('mergeScannedMetadata', () => {
+    const registry = JSON.parse(fs.readFileSync(REGISTRY_FIXTURE, 'utf8'));
+
+    it('adds module.json metadata to matching registry entries only', () => {
+        const merged = mergeScannedMetadata(registry, UNIFIED);
+
+        assert.deepStrictEqual(Object.keys(merged.modules), ['linux_base', 'linux_advanced']);
+        assert.deepStrictEqual(merged.modules.linux_base, {
+            ...registry.modules.linux_base,
+            version: '1.2.0',
+            difficulty: 'beginner',
+            language: 'ru',
+            author: 'InfoTech.io Team',
+            tags: ['linux', 'cli']
+        });
+        assert.deepStrictEqual(merged.modules.linux_advanced, registry.modules.linux_advanced);
+    });
+
+    it('keeps registry values and does not modify its input', () => {
+        const withTags = { ...registry, modules: { linux_base: { ...registry.modules.linux_base, tags: ['featured'] } } };
+        const merged = mergeScannedMetadata(withTags, UNIFIED);
+
+        assert.deepStrictEqual(merged.modules.linux_base.tags, ['featured']);
+        assert.strictEqual(merged.modules.linux_base.name, registry.modules.linux_base.name);
+        assert.strictEqual(withTags.modules.linux_base.version, undefined);
+    });
+});
+
+describe('generate-feeds CLI', () => {
+    let tmpDir;
+    let metadataPath;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feeds-'));
+        metadataPath = path.join(tmpDir, 'unified-modules.json');
+        fs.writeFileSync(metadataPath, JSON.stringify(UNIFIED));
+    });
+
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    const generate = (outDir, ...args) => spawnSync(process.execPath, [GENERATOR, '--input', REGISTRY_FIXTURE, '--out-dir', outDir, ...args], {
+        encoding: 'utf8',
+        timeout: 30000
+    });
+
+    it('fails for --per-tag when the registry has no tags', () => {
+        const outDir = path.join(tmpDir, 'registry-only');
+        const result = generate(outDir, '--per-tag');
+
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /No course in .* has tags/);
+        assert.strictEqual(fs.existsSync(outDir), false);
+    });
+
+    it('warns about courses without a version', () => {
+        const result = generate(path.join(tmpDir, 'plain'));
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.match(result.stderr, /No version for linux_base, linux_advanced/);
+    });
+
+    it('writes per-tag feeds and versioned titles with --metadata', () => {
+        const outDir = path.join(tmpDir, 'with-metadata');
+        const result = generate(outDir, '--per-tag', '--metadata', metadataPath);
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.deepStrictEqual(fs.readdirSync(path.join(outDir, 'feeds')).sort(), ['cli.json', 'cli.xml', 'linux.json', 'linux.xml']);
+
+        const feed = JSON.parse(fs.readFileSync(path.join(outDir, 'feed.json'), 'utf8'));
+        const titles = feed.items.map(item => item.title);
+        assert.deepStrictEqual(titles, ['Основы Linux v1.2.0', 'Продвинутый Linux']);
+        assert.match(result.stderr, /No version for linux_advanced/);
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * GitHubClient against a local HTTP stub: pagination, retries and rate limits
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { GitHubClient, ModuleScanner, ResponseCache } = require('../scripts/scan-modules.js');
+
+describe('GitHubClient', () => {
+    let server;
+    let apiUrl;
+    let handler;
+    let requests;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests.push({ url: req.url, headers: req.headers });
+            handler(req, res);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        apiUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        requests = [];
+    });
+
+    const createClient = (options = {}) => new GitHubClient('test-token', { apiUrl, retryDelay: 1, ...options });
+
+    const sendJson = (res, statusCode, body, headers = {}) => {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    };
+
+    it('follows Link headers across pages', async () => {
+        handler = (req, res) => {
+            const page = new URL(req.url, apiUrl).searchParams.get('page') || '1';
+            const repos = {
+                1: [{ name: 'mod_linux_base' }, { name: 'infotecha' }],
+                2: [{ name: 'mod_docker_intro' }]
+            };
+            const link = page === '1'
+                ? `<${apiUrl}/orgs/test/repos?type=all&per_page=100&page=2>; rel="next", <${apiUrl}/orgs/test/repos?type=all&per_page=100&page=2>; rel="last"`
+                : `<${apiUrl}/orgs/test/repos?type=all&per_page=100&page=1>; rel="first"`;
+            sendJson(res, 200, repos[page], { Link: link });
+        };
+
+        const repos = await createClient().getRepositories('test');
+
+        assert.deepStrictEqual(repos.map(repo => repo.name), ['mod_linux_base', 'mod_docker_intro']);
+        assert.deepStrictEqual(requests.map(request => request.url), [
+            '/orgs/test/repos?type=all&per_page=100',
+            '/orgs/test/repos?type=all&per_page=100&page=2'
+        ]);
+        assert.strictEqual(requests[0].headers.authorization, 'token test-token');
+    });
+
+    it('retries transient 5xx responses', async () => {
+        let calls = 0;
+        handler = (req, res) => {
+            calls++;
+            if (calls < 3) {
+                sendJson(res, 502, { message: 'Bad Gateway' });
+            } else {
+                sendJson(res, 200, { default_branch: 'main' });
+            }
+        };
+
+        const client = createClient();
+        assert.deepStrictEqual(await client.request('/repos/test/mod_a'), { default_branch: 'main' });
+        assert.strictEqual(calls, 3);
+        assert.strictEqual(client.requestCount, 3);
+    });
+
+    it('gives up after maxRetries', async () => {
+        handler = (req, res) => sendJson(res, 503, { message: 'Service Unavailable' });
+
+        await assert.rejects(createClient({ maxRetries: 2 }).request('/repos/test/mod_a'), /GitHub API error 503: Service Unavailable/);
+        assert.strictEqual(requests.length, 3);
+    });
+
+    it('does not retry client errors', async () => {
+        handler = (req, res) => sendJson(res, 404, { message: 'Not Found' });
+
+        await assert.rejects(createClient().request('/repos/test/missing'), error => error.statusCode === 404);
+        assert.strictEqual(requests.length, 1);
+    });
+
+    it('waits for Retry-After on secondary rate limits', async () => {
+        handler = (req, res) => {
+            if (requests.length === 1) {
+                sendJson(res, 403, { message: 'You have exceeded a secondary rate limit' }, { 'Retry-After': '0' });
+            } else {
+                sendJson(res, 200, { ok: true });
+            }
+        };
+
+        assert.deepStrictEqual(await createClient().request('/repos/test/mod_a'), { ok: true });
+        assert.strictEqual(requests.length, 2);
+    });
+
+    it('fails fast when the rate limit resets later than the wait limit', async () => {
+        const reset = Math.floor(Date.now() / 1000) + 3600;
+        handler = (req, res) => sendJson(res, 403, { message: 'API rate limit exceeded' }, {
+            'X-RateLimit-Limit': '60',
+            'X-RateLimit-Remaining': '0',
+            'X-RateLimit-Reset': String(reset)
+        });
+
+        const client = createClient({ maxRateLimitWait: 1000 });
+        await assert.rejects(client.request('/repos/test/mod_a'), /exceeds wait limit/);
+        assert.strictEqual(requests.length, 1);
+        assert.deepStrictEqual(client.rateLimit, { limit: 60, remaining: 0, reset });
+    });
+
+    it('revalidates cached responses with If-None-Match', async () => {
+        const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-cache-'));
+        handler = (req, res) => {
+            if (req.headers['if-none-match'] === '"v1"') {
+                res.writeHead(304, { ETag: '"v1"' });
+                res.end();
+            } else {
+                sendJson(res, 200, { default_branch: 'main' }, { ETag: '"v1"' });
+            }
+        };
+
+        try {
+            const cache = new ResponseCache(cacheDir);
+            const client = createClient({ cache });
+            await client.request('/repos/test/mod_a');
+            assert.deepStrictEqual(await client.request('/repos/test/mod_a'), { default_branch: 'main' });
+            assert.strictEqual(requests[1].headers['if-none-match'], '"v1"');
+            assert.deepStrictEqual(cache.stats, { revalidated: 1, fetched: 1, uncached: 0, errors: 0 });
+        } finally {
+            fs.rmSync(cacheDir, { recursive: true, force: true });
+        }
+    });
+
+    it('aborts timed-out module scans before starting the next one', async () => {
+        let open = 0;
+        const openAtStart = [];
+        handler = (req, res) => {
+            if (req.url.startsWith('/orgs/')) {
+                sendJson(res, 200, [{ name: 'mod_a', default_branch: 'main' }, { name: 'mod_b', default_branch: 'main' }]);
+                return;
+            }
+            // module.json requests never get an answer
+            openAtStart.push(open++);
+            req.on('close', () => open--);
+        };
+
+        const scanner = new ModuleScanner({ cache: false, concurrency: 1, moduleTimeout: 100, registryPath: path.join(os.tmpdir(), 'missing-modules.json') });
+        scanner.github = scanner.source = createClient({ requestTimeout: 10000 });
+
+        const startedAt = Date.now();
+        const results = await scanner.scanAllModules();
+
+        assert.ok(Date.now() - startedAt < 5000, 'timed-out requests were left running');
+
+        assert.deepStrictEqual(results.map(({ repository, success, error }) => ({ repository, success, error })), [
+            { repository: 'mod_a', success: false, error: 'Timed out after 100ms' },
+            { repository: 'mod_b', success: false, error: 'Timed out after 100ms' }
+        ]);
+        assert.deepStrictEqual(openAtStart, [0, 0]);
+        assert.strictEqual(requests.length, 3);
+    });
+
+    describe('getRetryDelay', () => {
+        const response = headers => ({ statusCode: 429, headers });
+
+        it('reads Retry-After in seconds', () => {
+            assert.strictEqual(createClient().getRetryDelay(response({ 'retry-after': '120' }), 0), 120000);
+        });
+
+        it('reads Retry-After as an HTTP-date', () => {
+            const retryAt = new Date(Date.now() + 60000).toUTCString();
+            const delay = createClient().getRetryDelay(response({ 'retry-after': retryAt }), 0);
+            assert.ok(delay > 55000 && delay <= 60000, `unexpected delay ${delay}`);
+        });
+
+        it('falls back to backoff for unparsable Retry-After', () => {
+            const delay = createClient({ retryDelay: 1000 }).getRetryDelay(response({ 'retry-after': 'soon' }), 1);
+            assert.ok(delay >= 1000 && delay <= 2000, `unexpected delay ${delay}`);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * Load content/index.html with i18n.js and modules.js in jsdom.
+ * fetch() serves the given registry and status; nothing goes to the network.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const CONTENT_DIR = path.join(__dirname, '../../content');
+
+function createResponse(body) {
+    if (body === undefined) {
+        return { ok: false, status: 404, statusText: 'Not Found', headers: { get: () => null } };
+    }
+    return {
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        headers: { get: () => null },
+        json: async () => JSON.parse(JSON.stringify(body))
+    };
+}
+
+/**
+ * Resolves with { window, document, loader } once the catalog is rendered
+ */
+async function loadHubPage({ registry, status, url = 'https://infotecha.ru/', html } = {}) {
+    const dom = new JSDOM(html || fs.readFileSync(path.join(CONTENT_DIR, 'index.html'), 'utf8'), {
+        url,
+        runScripts: 'outside-only',
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+
+    window.fetch = async (resource) => createResponse({ '/modules.json': registry, '/status.json': status }[resource]);
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+
+    const scripts = ['i18n.js', 'modules.js'].map(file => fs.readFileSync(path.join(CONTENT_DIR, file), 'utf8'));
+    window.eval(`${scripts.join('\n')}\nwindow.hubLoader = new ModulesLoader();`);
+
+    const loader = window.hubLoader;
+    for (let attempt = 0; attempt < 100 && !loader.data; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    return { window, document: window.document, loader };
+}
+
+module.exports = { loadHubPage };
@@ -0,0 +1,160 @@
+/**
+ * Catalog cards of the hub page (content/modules.js) built from untrusted registry data
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadHubPage } = require('./helpers/hub-page.js');
+
+const PRERENDERER = path.join(__dirname, '../scripts/prerender-hub.js');
+const REGISTRY_PATH = path.join(__dirname, '../modules.json');
+
+const HOSTILE_TITLE = '<img src=x onerror="window.pwned = true">';
+const HOSTILE_DESCRIPTION = '<script>window.pwned = true</script><a href="javascript:alert(1)">click</a>';
+
+const HOSTILE_REGISTRY = {
+    platform: { name: 'InfoTech.io', domain: 'infotecha.ru', github_org: 'info-tech-io' },
+    modules: {
+        hostile: {
+            name: HOSTILE_TITLE,
+            description: HOSTILE_DESCRIPTION,
+            content_repo: 'mod_hostile',
+            subdomain: 'javascript:alert(1)//',
+            last_updated: '2025-01-01T00:00:00Z',
+            status: 'active',
+            tags: ['<b>tag</b>'],
+            difficulty: '<i onmouseover="alert(1)">hard</i>'
+        },
+        redirect: {
+            name: 'Redirect',
+            description: 'Subdomain pointing to another host',
+            content_repo: 'mod_redirect',
+            subdomain: 'evil.com/#',
+            last_updated: '2025-01-01T00:00:00Z',
+            status: 'active'
+        },
+        linux_base: {
+            name: 'Основы Linux',
+            description: 'Введение в операционную систему Linux',
+            content_repo: 'mod_linux_base',
+            subdomain: 'linux-base',
+            last_updated: '2025-01-01T00:00:00Z',
+            status: 'active',
+            urls: { documentation: 'javascript:alert(1)', issues: 'https://github.com/info-tech-io/mod_linux_base/issues' }
+        }
+    }
+};
+
+/**
+ * Elements and attributes that only appear when registry text is parsed as HTML
+ */
+function assertNoInjectedMarkup(root, window) {
+    assert.strictEqual(root.querySelectorAll('img, script, b, i').length, 0, 'registry markup became elements');
+    root.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(attribute => {
+            assert.ok(!attribute.name.startsWith('on'), `event handler attribute ${attribute.name} on <${element.tagName}>`);
+        });
+    });
+    root.querySelectorAll('a[href]').forEach(link => {
+        assert.ok(/^(https:|#)/.test(link.getAttribute('href')), `unsafe link ${link.getAttribute('href')}`);
+    });
+    assert.strictEqual(window.pwned, undefined);
+}
+
+describe('hub catalog with hostile registry data', () => {
+    it('renders titles, descriptions and tags as text', async () => {
+        const { window, document } = await loadHubPage({ registry: HOSTILE_REGISTRY });
+        const grid = document.getElementById('courses-grid');
+
+        assert.strictEqual(grid.querySelectorAll('.course-card').length, 3);
+        assertNoInjectedMarkup(grid, window);
+
+        const titles = Array.from(grid.querySelectorAll('.course-title')).map(title => title.textContent);
+        assert.ok(titles.includes(HOSTILE_TITLE));
+        assert.ok(Array.from(grid.querySelectorAll('.course-description')).some(description => description.textContent === HOSTILE_DESCRIPTION));
+        assert.ok(Array.from(grid.querySelectorAll('.course-tag')).some(tag => tag.textContent === '<b>tag</b>'));
+    });
+
+    it('links only to valid module subdomains', async () => {
+        const { document } = await loadHubPage({ registry: HOSTILE_REGISTRY });
+        const buttons = Array.from(document.querySelectorAll('#courses-grid .course-button')).map(link => link.href);
+
+        assert.deepStrictEqual(buttons, ['https://linux-base.infotecha.ru/']);
+    });
+
+    it('keeps detail pages free of injected markup and javascript: links', async () => {
+        for (const key of Object.keys(HOSTILE_REGISTRY.modules)) {
+            const { window, document } = await loadHubPage({ registry: HOSTILE_REGISTRY, url: `https://infotecha.ru/#/module/${key}` });
+            const detail = document.getElementById('module-detail');
+
+            assert.notStrictEqual(detail.style.display, 'none');
+            assertNoInjectedMarkup(detail, window);
+        }
+    });
+});
+
+describe('hub catalog as deployed', () => {
+    // Scan output for linux_base, as deploy-hub.yml passes it to the pre-renderer
+    const UNIFIED = {
+        version: '2.0',
+        modules: [{
+            name: 'linux-base',
+            title: 'Основы Linux',
+            repository: 'mod_linux_base',
+            version: '1.2.0',
+            difficulty: 'beginner',
+            estimated_time: '20 hours',
+            language: 'ru',
+            lifecycle: 'beta',
+            tags: ['linux', 'cli'],
+            _source: 'module.json'
+        }]
+    };
+    let distDir;
+
+    before(() => {
+        distDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hub-dist-'));
+        const metadataPath = path.join(distDir, 'unified-modules.json');
+        fs.writeFileSync(metadataPath, JSON.stringify(UNIFIED));
+
+        const result = spawnSync(process.execPath, [PRERENDERER, '--input', REGISTRY_PATH, '--metadata', metadataPath, '--out-dir', distDir], {
+            encoding: 'utf8',
+            timeout: 30000
+        });
+        assert.strictEqual(result.status, 0, result.stderr);
+    });
+
+    after(() => fs.rmSync(distDir, { recursive: true, force: true }));
+
+    it('keeps scanned metadata on cards re-rendered from the published modules.json', async () => {
+        const { document, loader } = await loadHubPage({
+            registry: JSON.parse(fs.readFileSync(path.join(distDir, 'modules.json'), 'utf8')),
+            html: fs.readFileSync(path.join(distDir, 'index.html'), 'utf8')
+        });
+        loader.applyFilters({ updateUrl: false });
+
+        const card = Array.from(document.querySelectorAll('#courses-grid .course-card'))
+            .find(element => element.querySelector('.course-button')?.href === 'https://linux-base.infotecha.ru/');
+        assert.ok(card, 'linux_base card is rendered');
+        assert.strictEqual(card.querySelector('.course-version').textContent, 'v1.2.0');
+        assert.ok(card.querySelector('.course-difficulty.difficulty-beginner'));
+        assert.ok(card.querySelector('.course-duration'));
+        assert.ok(card.querySelector('.course-language'));
+        assert.ok(card.querySelector('.course-badge-beta'));
+        assert.deepStrictEqual(Array.from(card.querySelectorAll('.course-tag')).map(tag => tag.textContent), ['linux', 'cli']);
+    });
+});
+
+describe('hub locales', () => {
+    it('match the languages registry translations accept', async () => {
+        const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '../schemas/registry.json'), 'utf8'));
+        const translationLocales = schema.definitions.module.properties.translations.propertyNames.enum;
+        const { loader } = await loadHubPage({ registry: { modules: {} } });
+
+        assert.deepStrictEqual([...loader.i18n.getAvailableLocales()].sort(), [...translationLocales].sort());
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * lint-rules.js: rule severities, suppressions and configuration
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RuleEngine, DEFAULT_PLATFORM } = require('../scripts/lint-rules.js');
+
+const MODULE_FIXTURE = path.join(__dirname, 'fixtures/module.json');
+
+describe('RuleEngine', () => {
+    const loadModule = () => JSON.parse(fs.readFileSync(MODULE_FIXTURE, 'utf8'));
+    const withProblems = () => {
+        const moduleData = loadModule();
+        delete moduleData.metadata.license;
+        moduleData.hugo_config.hugo_version = '0.140.0';
+        return moduleData;
+    };
+
+    it('reports nothing for a conforming module', () => {
+        assert.deepStrictEqual(new RuleEngine().run(loadModule()), []);
+    });
+
+    it('reports findings with the default severity', () => {
+        assert.deepStrictEqual(new RuleEngine().run(withProblems()), [
+            { rule: 'license-required', severity: 'warn', path: '/metadata/license', message: 'License not specified - consider adding one' },
+            { rule: 'hugo-version', severity: 'warn', path: '/hugo_config/hugo_version', message: 'Hugo version 0.140.0 differs from current platform version 0.148.2' }
+        ]);
+    });
+
+    it('applies configured severities and rule options', () => {
+        const engine = new RuleEngine({
+            rules: {
+                'license-required': 'off',
+                'hugo-version': ['error', { version: '0.140.0' }],
+                'min-tags': ['error', { min: 4 }]
+            }
+        });
+
+        assert.deepStrictEqual(engine.run(withProblems()).map(({ rule, severity }) => ({ rule, severity })), [
+            { rule: 'min-tags', severity: 'error' }
+        ]);
+    });
+
+    it('skips rules the module suppresses', () => {
+        const moduleData = withProblems();
+        moduleData.lint = { suppress: ['hugo-version'] };
+
+        assert.deepStrictEqual(new RuleEngine().run(moduleData).map(finding => finding.rule), ['license-required']);
+    });
+
+    it('rejects unknown rules and severities', () => {
+        assert.throws(() => new RuleEngine({ rules: { 'no-such-rule': 'warn' } }), /Unknown lint rule "no-such-rule"\. Available: subdomain-matches-name/);
+        assert.throws(() => new RuleEngine({ rules: { 'min-tags': 'fatal' } }), /Invalid severity "fatal" for rule "min-tags"/);
+    });
+});
+
+describe('RuleEngine.loadConfig', () => {
+    let tmpDir;
+    let registryPath;
+    let rcPath;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lint-config-'));
+        registryPath = path.join(tmpDir, 'modules.json');
+        rcPath = path.join(tmpDir, '.modulelintrc');
+
+        fs.writeFileSync(registryPath, JSON.stringify({
+            platform: {
+                domain: 'example.org',
+                hugo_version: '0.150.0',
+                lint_rules: { 'min-tags': 'error', 'license-required': 'error' }
+            },
+            modules: {}
+        }));
+        fs.writeFileSync(rcPath, JSON.stringify({
+            platform: { hugo_version: '0.151.0' },
+            rules: { 'license-required': 'off' }
+        }));
+    });
+
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    it('reads the registry platform block', () => {
+        const engine = new RuleEngine(RuleEngine.loadConfig({ registryPath }));
+
+        assert.deepStrictEqual(engine.platform, { ...DEFAULT_PLATFORM, domain: 'example.org', hugo_version: '0.150.0' });
+        assert.strictEqual(engine.rules.get('license-required').severity, 'error');
+    });
+
+    it('lets .modulelintrc override the registry', () => {
+        const config = RuleEngine.loadConfig({ registryPath, rcPath });
+        const engine = new RuleEngine(config);
+
+        assert.strictEqual(engine.platform.domain, 'example.org');
+        assert.strictEqual(engine.platform.hugo_version, '0.151.0');
+        assert.strictEqual(engine.rules.get('license-required').severity, 'off');
+        assert.strictEqual(engine.rules.get('min-tags').severity, 'error');
+    });
+
+    it('ignores missing files and reports unparsable .modulelintrc', () => {
+        assert.deepStrictEqual(RuleEngine.loadConfig({ registryPath: path.join(tmpDir, 'missing.json') }), { platform: {}, rules: {} });
+
+        const brokenPath = path.join(tmpDir, 'broken-lintrc');
+        fs.writeFileSync(brokenPath, '{ "rules": ');
+        assert.throws(() => RuleEngine.loadConfig({ rcPath: brokenPath }), /Failed to parse .*broken-lintrc/);
+    });
+});
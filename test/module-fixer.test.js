@@ -0,0 +1,87 @@
+/**
+ * module-fixer.js: minimal edits and unified diff output
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ModuleFixer, formatLineDiff } = require('../scripts/module-fixer.js');
+
+describe('ModuleFixer.serialize', () => {
+    const fixer = new ModuleFixer(null);
+
+    it('only touches changed members of an inline-formatted file', () => {
+        const original = [
+            '{',
+            '    "name": "docker-intro", "title": "Основы Docker",',
+            '    "deployment": { "subdomain": "wrong", "repository": "mod_docker_intro" },',
+            '    "metadata": { "tags": ["Docker", "containers"] }',
+            '}',
+            ''
+        ].join('\n');
+        const moduleData = JSON.parse(original);
+        moduleData.deployment.subdomain = 'docker-intro';
+        moduleData.metadata.tags = ['docker', 'containers'];
+
+        assert.strictEqual(fixer.serialize(moduleData, original), [
+            '{',
+            '    "name": "docker-intro", "title": "Основы Docker",',
+            '    "deployment": { "subdomain": "docker-intro", "repository": "mod_docker_intro" },',
+            '    "metadata": { "tags": ["docker", "containers"] }',
+            '}',
+            ''
+        ].join('\n'));
+    });
+
+    it('removes and adds members with the surrounding separators', () => {
+        const original = '{\n  "a": 1,\n  "b": {"x": [1, 2], "y": 2},\n  "c": {\n    "d": true\n  }\n}\n';
+        const moduleData = JSON.parse(original);
+        delete moduleData.a;
+        delete moduleData.b.y;
+        moduleData.b.z = 'new';
+        moduleData.c.e = ['q'];
+
+        assert.strictEqual(fixer.serialize(moduleData, original),
+            '{\n  "b": {"x": [1, 2], "z": "new"},\n  "c": {\n    "d": true,\n    "e": [\n      "q"\n    ]\n  }\n}\n');
+    });
+
+    it('returns the original text when nothing changed', () => {
+        const original = '{ "a": [1,2],   "b": "x" }';
+        assert.strictEqual(fixer.serialize(JSON.parse(original), original), original);
+    });
+});
+
+describe('formatLineDiff', () => {
+    it('renders hunks with 3 lines of context, removed lines first', () => {
+        const oldText = Array.from({ length: 20 }, (item, index) => `line ${index + 1}`).join('\n') + '\n';
+        const newText = oldText.replace('line 2\n', 'line two\n').replace('line 18\n', '');
+
+        assert.strictEqual(formatLineDiff(oldText, newText), [
+            '@@ -1,5 +1,5 @@',
+            ' line 1',
+            '-line 2',
+            '+line two',
+            ' line 3',
+            ' line 4',
+            ' line 5',
+            '@@ -15,6 +15,5 @@',
+            ' line 15',
+            ' line 16',
+            ' line 17',
+            '-line 18',
+            ' line 19',
+            ' line 20'
+        ].join('\n'));
+    });
+
+    it('merges changes closer than twice the context', () => {
+        const oldText = 'a\nb\nc\nd\ne\nf\ng\nh\n';
+        const newText = 'a\nB\nc\nd\ne\nf\nG\nh\n';
+
+        assert.strictEqual(formatLineDiff(oldText, newText),
+            '@@ -1,8 +1,8 @@\n a\n-b\n+B\n c\n d\n e\n f\n-g\n+G\n h');
+    });
+
+    it('returns nothing for equal texts', () => {
+        assert.strictEqual(formatLineDiff('a\n', 'a\n'), '');
+    });
+});
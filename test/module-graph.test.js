@@ -0,0 +1,78 @@
+/**
+ * module-graph.js: learning path references and cycles
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { buildGraph, findInvalidReferences, findCycle } = require('../scripts/module-graph.js');
+
+describe('buildGraph', () => {
+    it('turns prerequisites into incoming and next into outgoing edges', () => {
+        const { edges } = buildGraph({
+            linux_base: { next: ['linux_advanced'] },
+            linux_advanced: { prerequisites: ['linux_base'] },
+            docker_intro: { prerequisites: ['linux_base'] }
+        });
+
+        assert.deepStrictEqual([...edges.get('linux_base')], ['linux_advanced', 'docker_intro']);
+        assert.deepStrictEqual([...edges.get('linux_advanced')], []);
+    });
+});
+
+describe('findInvalidReferences', () => {
+    it('reports a dangling prerequisite', () => {
+        const modules = {
+            linux_base: {},
+            docker_intro: { prerequisites: ['linux_base', 'git_intro'] }
+        };
+
+        assert.deepStrictEqual(findInvalidReferences(modules), [
+            { from: 'docker_intro', field: 'prerequisites', ref: 'git_intro' }
+        ]);
+    });
+
+    it('reports a self-reference', () => {
+        assert.deepStrictEqual(findInvalidReferences({ linux_base: { next: ['linux_base'] } }), [
+            { from: 'linux_base', field: 'next', ref: 'linux_base' }
+        ]);
+    });
+
+    it('accepts valid links', () => {
+        assert.deepStrictEqual(findInvalidReferences({
+            linux_base: { next: ['linux_advanced'] },
+            linux_advanced: { prerequisites: ['linux_base'] }
+        }), []);
+    });
+});
+
+describe('findCycle', () => {
+    it('finds a cycle through prerequisites', () => {
+        const cycle = findCycle({
+            linux_base: { prerequisites: ['linux_advanced'] },
+            linux_advanced: { prerequisites: ['linux_base'] }
+        });
+
+        assert.deepStrictEqual(cycle, ['linux_base', 'linux_advanced', 'linux_base']);
+    });
+
+    it('finds a cycle mixing next and prerequisites', () => {
+        const path = {
+            linux_base: { next: ['linux_advanced'] },
+            linux_advanced: { next: ['docker_intro'] },
+            docker_intro: {}
+        };
+        assert.strictEqual(findCycle(path), null);
+
+        // docker_intro before linux_base closes the path
+        const cycle = findCycle({ ...path, linux_base: { next: ['linux_advanced'], prerequisites: ['docker_intro'] } });
+        assert.deepStrictEqual(cycle, ['linux_base', 'linux_advanced', 'docker_intro', 'linux_base']);
+    });
+
+    it('does not treat a self-reference as a cycle', () => {
+        assert.strictEqual(findCycle({ linux_base: { prerequisites: ['linux_base'] } }), null);
+    });
+
+    it('ignores dangling references', () => {
+        assert.strictEqual(findCycle({ linux_base: { prerequisites: ['git_intro'], next: ['git_intro'] } }), null);
+    });
+});
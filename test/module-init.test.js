@@ -0,0 +1,40 @@
+/**
+ * module-init.js: starter content skeleton
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ModuleInitializer } = require('../scripts/module-init.js');
+
+describe('ModuleInitializer.createContentSkeleton', () => {
+    let tmpDir;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'module-init-'));
+    });
+
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    const readIntroduction = (language) => {
+        const dir = path.join(tmpDir, language);
+        new ModuleInitializer(null).createContentSkeleton(dir, {
+            title: 'Docker Basics',
+            description: 'Containers for beginners',
+            metadata: { language }
+        });
+        return fs.readFileSync(path.join(dir, 'content/01-introduction/_index.md'), 'utf8');
+    };
+
+    it('writes starter text in the module language', () => {
+        assert.match(readIntroduction('en'), /title: "Introduction"[\s\S]*Welcome to the “Docker Basics” module\./);
+        assert.match(readIntroduction('ru'), /title: "Введение"[\s\S]*Добро пожаловать в модуль «Docker Basics»\./);
+        assert.match(readIntroduction('de'), /title: "Einführung"/);
+    });
+
+    it('falls back to English for languages without starter text', () => {
+        assert.match(readIntroduction('eo'), /title: "Introduction"/);
+    });
+});
@@ -0,0 +1,270 @@
+/**
+ * module-status.js and the scan-modules.js commands that write status.json
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const moduleStatus = require('../scripts/module-status.js');
+
+const SCANNER = path.join(__dirname, '../scripts/scan-modules.js');
+const REGISTRY_FIXTURE = path.join(__dirname, 'fixtures/registry.json');
+const MODULE_FIXTURE = path.join(__dirname, 'fixtures/module.json');
+
+function runScanner(args) {
+    return spawnSync(process.execPath, [SCANNER, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+// spawnSync would block the test server, so --check-urls runs asynchronously
+function runScannerAsync(args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [SCANNER, ...args], { timeout: 30000 });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', reject);
+        child.on('close', status => resolve({ status, stdout, stderr }));
+    });
+}
+
+/**
+ * Local server: /ok answers 200, /no-head refuses HEAD with 405, /broken answers 500
+ */
+function startServer() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        if (req.url === '/no-head' && req.method === 'HEAD') {
+            res.writeHead(405);
+        } else {
+            res.writeHead(req.url === '/broken' ? 500 : 200);
+        }
+        res.end();
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    }));
+}
+
+describe('recordBuild', () => {
+    it('records the build with a lowercased commit', () => {
+        const status = { modules: { linux_base: { reachability: { reachable: true } } } };
+
+        const entry = moduleStatus.recordBuild(status, 'linux_base', {
+            status: 'success',
+            commit: 'ABC1234',
+            duration_ms: 42000,
+            finished_at: '2025-09-21T10:00:00Z'
+        });
+
+        assert.deepStrictEqual(entry, {
+            reachability: { reachable: true },
+            build: { status: 'success', commit: 'abc1234', finished_at: '2025-09-21T10:00:00Z', duration_ms: 42000 }
+        });
+    });
+
+    it('rejects an unknown status, a malformed commit and a negative duration', () => {
+        const status = { modules: {} };
+
+        assert.throws(() => moduleStatus.recordBuild(status, 'linux_base', { status: 'ok' }), /Build status must be one of/);
+        assert.throws(() => moduleStatus.recordBuild(status, 'linux_base', { status: 'success', commit: 'main' }), /Invalid commit SHA/);
+        assert.throws(() => moduleStatus.recordBuild(status, 'linux_base', { status: 'failure', duration_ms: -1 }), /Invalid build duration/);
+        assert.deepStrictEqual(status.modules, {});
+    });
+});
+
+describe('recordReachability', () => {
+    it('replaces the reachability and keeps the build', () => {
+        const status = { modules: { linux_base: { build: { status: 'failure' }, reachability: { reachable: true } } } };
+
+        moduleStatus.recordReachability(status, 'linux_base', { url: 'https://linux-base.infotecha.ru', reachable: false });
+
+        assert.deepStrictEqual(status.modules.linux_base, {
+            build: { status: 'failure' },
+            reachability: { url: 'https://linux-base.infotecha.ru', reachable: false }
+        });
+    });
+});
+
+describe('loadStatus / saveStatus', () => {
+    let tmpDir;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'module-status-'));
+    });
+
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    it('starts from an empty status and writes modules sorted by key', () => {
+        const statusPath = path.join(tmpDir, 'status.json');
+        const status = moduleStatus.loadStatus(statusPath);
+        assert.deepStrictEqual(status, { generated_at: null, modules: {} });
+
+        moduleStatus.recordBuild(status, 'linux_base', { status: 'success' });
+        moduleStatus.recordBuild(status, 'docker_intro', { status: 'failure' });
+        moduleStatus.saveStatus(status, statusPath);
+
+        const saved = moduleStatus.loadStatus(statusPath);
+        assert.deepStrictEqual(Object.keys(saved.modules), ['docker_intro', 'linux_base']);
+        assert.match(saved.generated_at, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+    });
+});
+
+describe('checkUrl', () => {
+    let server;
+    let requests;
+    let baseUrl;
+
+    before(async () => {
+        ({ server, requests, baseUrl } = await startServer());
+    });
+
+    after(() => server.close());
+
+    it('reports a site answering HEAD as reachable', async () => {
+        const result = await moduleStatus.checkUrl(`${baseUrl}/ok`);
+
+        assert.strictEqual(result.reachable, true);
+        assert.strictEqual(result.http_status, 200);
+        assert.strictEqual(result.url, `${baseUrl}/ok`);
+        assert.ok(result.response_time_ms >= 0);
+    });
+
+    it('retries with GET when HEAD is not allowed', async () => {
+        requests.length = 0;
+        const result = await moduleStatus.checkUrl(`${baseUrl}/no-head`);
+
+        assert.deepStrictEqual(requests, ['HEAD /no-head', 'GET /no-head']);
+        assert.strictEqual(result.reachable, true);
+        assert.strictEqual(result.http_status, 200);
+    });
+
+    it('reports server errors and refused connections as unreachable', async () => {
+        const broken = await moduleStatus.checkUrl(`${baseUrl}/broken`);
+        assert.strictEqual(broken.reachable, false);
+        assert.strictEqual(broken.http_status, 500);
+
+        // Port of a server that is already closed
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const { port } = closed.address();
+        await new Promise(resolve => closed.close(resolve));
+
+        const refused = await moduleStatus.checkUrl(`http://127.0.0.1:${port}/`);
+        assert.strictEqual(refused.reachable, false);
+        assert.strictEqual(refused.http_status, undefined);
+        assert.match(refused.error, /ECONNREFUSED/);
+    });
+});
+
+describe('scan-modules --record-build', () => {
+    let tmpDir;
+    let statusPath;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'record-build-'));
+        statusPath = path.join(tmpDir, 'status.json');
+    });
+
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    it('records the build in the status file with the duration in milliseconds', () => {
+        const result = runScanner([
+            '--record-build', 'linux_base', '--build-status', 'success',
+            '--commit', 'ABC1234', '--duration', '42',
+            '--registry', REGISTRY_FIXTURE, '--status-file', statusPath
+        ]);
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        const { build } = moduleStatus.loadStatus(statusPath).modules.linux_base;
+        assert.strictEqual(build.status, 'success');
+        assert.strictEqual(build.commit, 'abc1234');
+        assert.strictEqual(build.duration_ms, 42000);
+        assert.match(build.finished_at, /Z$/);
+    });
+
+    it('keeps other modules when recording a failure', () => {
+        const result = runScanner([
+            '--record-build', 'linux_advanced', '--build-status', 'failure',
+            '--registry', REGISTRY_FIXTURE, '--status-file', statusPath
+        ]);
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        const { modules } = moduleStatus.loadStatus(statusPath);
+        assert.strictEqual(modules.linux_advanced.build.status, 'failure');
+        assert.strictEqual(modules.linux_base.build.status, 'success');
+    });
+
+    it('refuses modules missing from the registry and invalid statuses', () => {
+        const before = fs.readFileSync(statusPath, 'utf8');
+
+        const unknown = runScanner([
+            '--record-build', 'unknown_module', '--build-status', 'success',
+            '--registry', REGISTRY_FIXTURE, '--status-file', statusPath
+        ]);
+        assert.strictEqual(unknown.status, 1);
+        assert.match(unknown.stderr, /Module "unknown_module" not found in registry\.json/);
+
+        const invalid = runScanner([
+            '--record-build', 'linux_base', '--build-status', 'done',
+            '--registry', REGISTRY_FIXTURE, '--status-file', statusPath
+        ]);
+        assert.strictEqual(invalid.status, 1);
+        assert.match(invalid.stderr, /Build status must be one of: success, failure/);
+
+        assert.strictEqual(fs.readFileSync(statusPath, 'utf8'), before);
+    });
+});
+
+describe('scan-modules --check-urls', () => {
+    let tmpDir;
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        ({ server, baseUrl } = await startServer());
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'check-urls-'));
+
+        const moduleJson = JSON.parse(fs.readFileSync(MODULE_FIXTURE, 'utf8'));
+        const writeModule = (dir, name, url) => {
+            fs.mkdirSync(path.join(tmpDir, 'modules', dir), { recursive: true });
+            const data = { ...moduleJson, name, urls: { ...moduleJson.urls, production: url } };
+            fs.writeFileSync(path.join(tmpDir, 'modules', dir, 'module.json'), JSON.stringify(data, null, 2));
+        };
+        writeModule('mod_docker_intro', 'docker-intro', `${baseUrl}/ok`);
+        writeModule('mod_git_intro', 'git-intro', `${baseUrl}/broken`);
+    });
+
+    after(() => {
+        server.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('records the reachability of every module and keeps their builds', async () => {
+        const statusPath = path.join(tmpDir, 'status.json');
+        fs.writeFileSync(statusPath, JSON.stringify({
+            generated_at: null,
+            modules: { docker_intro: { build: { status: 'success', finished_at: '2025-09-21T10:00:00Z' } } }
+        }));
+
+        const result = await runScannerAsync([
+            '--local', path.join(tmpDir, 'modules'), '--check-urls', '--status-file', statusPath
+        ]);
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.match(result.stderr, /1 of 2 module\(s\) unreachable/);
+
+        const { modules } = moduleStatus.loadStatus(statusPath);
+        assert.deepStrictEqual(modules.docker_intro.build, { status: 'success', finished_at: '2025-09-21T10:00:00Z' });
+        assert.strictEqual(modules.docker_intro.reachability.url, `${baseUrl}/ok`);
+        assert.strictEqual(modules.docker_intro.reachability.reachable, true);
+        assert.strictEqual(modules.git_intro.reachability.reachable, false);
+        assert.strictEqual(modules.git_intro.reachability.http_status, 500);
+    });
+});
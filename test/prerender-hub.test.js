@@ -0,0 +1,110 @@
+/**
+ * prerender-hub.js: structured data from the registry and scanned module metadata
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HubPrerenderer } = require('../scripts/prerender-hub.js');
+const { mergeScannedMetadata } = require('../scripts/scan-modules.js');
+
+const PRERENDERER = path.join(__dirname, '../scripts/prerender-hub.js');
+const REGISTRY_FIXTURE = path.join(__dirname, 'fixtures/registry.json');
+
+const UNIFIED = {
+    version: '2.0',
+    modules: [{
+        name: 'linux-base',
+        repository: 'mod_linux_base',
+        version: '1.2.0',
+        difficulty: 'beginner',
+        language: 'ru',
+        author: 'InfoTech.io Team',
+        tags: ['linux'],
+        _source: 'module.json'
+    }]
+};
+
+describe('HubPrerenderer.toCourse', () => {
+    const registry = JSON.parse(fs.readFileSync(REGISTRY_FIXTURE, 'utf8'));
+    const findCourse = (prerenderer, key) => prerenderer.toCourse(key, prerenderer.modules.find(([moduleKey]) => moduleKey === key)[1]);
+
+    it('describes language, level and author from scanned metadata', () => {
+        const course = findCourse(new HubPrerenderer(mergeScannedMetadata(registry, UNIFIED)), 'linux_base');
+
+        assert.strictEqual(course.inLanguage, 'ru');
+        assert.strictEqual(course.educationalLevel, 'beginner');
+        assert.strictEqual(course.version, '1.2.0');
+        assert.deepStrictEqual(course.author, { '@type': 'Organization', name: 'InfoTech.io Team' });
+    });
+
+    it('falls back to the platform as author without metadata', () => {
+        const course = findCourse(new HubPrerenderer(registry), 'linux_base');
+
+        assert.strictEqual(course.inLanguage, undefined);
+        assert.deepStrictEqual(course.author, course.provider);
+    });
+});
+
+describe('prerender-hub CLI', () => {
+    let tmpDir;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prerender-'));
+        fs.writeFileSync(path.join(tmpDir, 'unified-modules.json'), JSON.stringify(UNIFIED));
+    });
+
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    const prerender = (...args) => spawnSync(process.execPath, [PRERENDERER, '--input', REGISTRY_FIXTURE, '--out-dir', tmpDir, ...args], {
+        encoding: 'utf8',
+        timeout: 30000
+    });
+
+    it('renders JSON-LD with metadata and warns about modules without it', () => {
+        const result = prerender('--metadata', path.join(tmpDir, 'unified-modules.json'));
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.match(result.stderr, /No language, difficulty or author for linux_advanced:/);
+        assert.match(fs.readFileSync(path.join(tmpDir, 'index.html'), 'utf8'), /"inLanguage": "ru"/);
+    });
+});
+
+describe('prerender-hub default output', () => {
+    const distDir = path.join(__dirname, '../dist');
+    const indexPath = path.join(__dirname, '../content/index.html');
+    let hadDist;
+
+    before(() => {
+        hadDist = fs.existsSync(distDir);
+    });
+
+    after(() => {
+        if (!hadDist) {
+            fs.rmSync(distDir, { recursive: true, force: true });
+        }
+    });
+
+    it('writes to dist and leaves the tracked index.html alone', () => {
+        const source = fs.readFileSync(indexPath, 'utf8');
+        const result = spawnSync(process.execPath, [PRERENDERER, '--input', REGISTRY_FIXTURE], { encoding: 'utf8', timeout: 30000 });
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.strictEqual(fs.readFileSync(indexPath, 'utf8'), source);
+        assert.match(fs.readFileSync(path.join(distDir, 'index.html'), 'utf8'), /data-prerendered/);
+        assert.ok(fs.existsSync(path.join(distDir, 'sitemap.xml')));
+    });
+});
+
+describe('robots.txt', () => {
+    it('points to the sitemap written by the pre-renderer', () => {
+        const robots = fs.readFileSync(path.join(__dirname, '../content/robots.txt'), 'utf8');
+        const registry = JSON.parse(fs.readFileSync(path.join(__dirname, '../modules.json'), 'utf8'));
+
+        assert.match(robots, /^User-agent: \*$/m);
+        assert.match(robots, new RegExp(`^Sitemap: ${new HubPrerenderer(registry).homeUrl}sitemap\\.xml$`, 'm'));
+    });
+});
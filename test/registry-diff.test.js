@@ -0,0 +1,138 @@
+/**
+ * registry-diff.js: catalog diffs and the changelog from git history
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffCatalogs, buildChangelog, isEmptyDiff } = require('../scripts/registry-diff.js');
+
+const REGISTRY_FIXTURE = path.join(__dirname, 'fixtures/registry.json');
+
+const loadRegistry = () => JSON.parse(fs.readFileSync(REGISTRY_FIXTURE, 'utf8'));
+
+/**
+ * Unified 2.0 output for the fixture registry, as `scan-modules.js --output json` writes it
+ */
+function toUnified(registry) {
+    return {
+        version: '2.0',
+        modules: Object.entries(registry.modules).map(([key, entry]) => ({
+            name: key.replace(/_/g, '-'),
+            title: entry.name,
+            description: entry.description,
+            repository: entry.content_repo,
+            version: '1.0.0',
+            lifecycle: 'active',
+            tags: ['linux'],
+            hugo_config: { template: 'default' },
+            _source: 'module.json'
+        }))
+    };
+}
+
+describe('diffCatalogs', () => {
+    it('reports added, removed and changed registry modules', () => {
+        const before = loadRegistry();
+        const after = loadRegistry();
+        delete after.modules.linux_advanced;
+        after.modules.linux_base.status = 'deprecated';
+        after.modules.linux_base.tags = ['linux', 'cli'];
+        after.modules.docker_intro = { name: 'Основы Docker', content_repo: 'mod_docker_intro', subdomain: 'docker-intro', status: 'active' };
+
+        assert.deepStrictEqual(diffCatalogs(before, after), {
+            added: [{ key: 'docker_intro', module: { title: 'Основы Docker', status: 'active' } }],
+            removed: [{ key: 'linux_advanced', module: { title: before.modules.linux_advanced.name, description: before.modules.linux_advanced.description, status: 'active' } }],
+            changed: [{
+                key: 'linux_base',
+                title: before.modules.linux_base.name,
+                fields: [
+                    { field: 'status', from: 'active', to: 'deprecated' },
+                    { field: 'tags', from: undefined, to: ['linux', 'cli'] }
+                ]
+            }]
+        });
+    });
+
+    it('ignores last_updated', () => {
+        const after = loadRegistry();
+        after.modules.linux_base.last_updated = '2030-01-01T00:00:00Z';
+
+        assert.ok(isEmptyDiff(diffCatalogs(loadRegistry(), after)));
+    });
+
+    it('compares only shared fields across formats', () => {
+        const registry = loadRegistry();
+        const unified = toUnified(registry);
+
+        assert.ok(isEmptyDiff(diffCatalogs(registry, unified)));
+        assert.ok(isEmptyDiff(diffCatalogs(unified, registry)));
+
+        unified.modules[0].title = 'Linux Basics';
+        assert.deepStrictEqual(diffCatalogs(registry, unified).changed, [{
+            key: 'linux_base',
+            title: 'Linux Basics',
+            fields: [{ field: 'title', from: registry.modules.linux_base.name, to: 'Linux Basics' }]
+        }]);
+    });
+
+    it('still compares version and tags between unified catalogs', () => {
+        const before = toUnified(loadRegistry());
+        const after = toUnified(loadRegistry());
+        after.modules[1].version = '1.1.0';
+
+        assert.deepStrictEqual(diffCatalogs(before, after).changed.map(({ key, fields }) => ({ key, fields })), [
+            { key: 'linux_advanced', fields: [{ field: 'version', from: '1.0.0', to: '1.1.0' }] }
+        ]);
+    });
+});
+
+describe('buildChangelog', () => {
+    let repoDir;
+    let registryPath;
+
+    const git = (...args) => execFileSync('git', args, { cwd: repoDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    const commit = (content, subject) => {
+        fs.writeFileSync(registryPath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+        git('add', 'modules.json');
+        git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', subject);
+    };
+
+    before(() => {
+        repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-'));
+        registryPath = path.join(repoDir, 'modules.json');
+        git('init', '-q');
+
+        const registry = loadRegistry();
+        commit('{ "modules": ', 'broken registry');
+        commit({ modules: { linux_base: registry.modules.linux_base } }, 'add linux_base');
+        commit({ modules: registry.modules }, 'add linux_advanced');
+        registry.modules.linux_base.last_updated = '2030-01-01T00:00:00Z';
+        commit({ modules: registry.modules }, 'chore: update linux_base timestamp');
+        registry.modules.linux_advanced.status = 'deprecated';
+        commit({ modules: registry.modules }, 'deprecate linux_advanced');
+    });
+
+    after(() => fs.rmSync(repoDir, { recursive: true, force: true }));
+
+    it('lists catalog changes newest first, skipping timestamp bumps', () => {
+        const skipped = [];
+        const entries = buildChangelog(registryPath, { onSkip: commitId => skipped.push(commitId) });
+
+        assert.deepStrictEqual(entries.map(entry => entry.subject), ['deprecate linux_advanced', 'add linux_advanced', 'add linux_base']);
+        assert.deepStrictEqual(entries[0].diff.changed[0].fields, [{ field: 'status', from: 'active', to: 'deprecated' }]);
+        assert.deepStrictEqual(entries[2].diff.added.map(({ key }) => key), ['linux_base']);
+        assert.strictEqual(skipped.length, 1);
+    });
+
+    it('stops walking history once the limit is reached', () => {
+        const skipped = [];
+        const entries = buildChangelog(registryPath, { limit: 2, onSkip: commitId => skipped.push(commitId) });
+
+        assert.deepStrictEqual(entries.map(entry => entry.subject), ['deprecate linux_advanced', 'add linux_advanced']);
+        assert.deepStrictEqual(skipped, [], 'read commits older than needed');
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * registry-editor.js: module lifecycle changes and history
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RegistryEditor, getHistoryPath, loadHistory } = require('../scripts/registry-editor.js');
+
+const SCANNER = path.join(__dirname, '../scripts/scan-modules.js');
+const REGISTRY_FIXTURE = path.join(__dirname, 'fixtures/registry.json');
+
+describe('RegistryEditor', () => {
+    const editor = new RegistryEditor(null);
+    const loadFixture = () => JSON.parse(fs.readFileSync(REGISTRY_FIXTURE, 'utf8'));
+    const options = { by: 'maintainer', reason: 'Merged into Linux advanced' };
+
+    describe('deprecate', () => {
+        it('requires a replacement', () => {
+            assert.throws(() => editor.deprecate(loadFixture(), 'linux_base', options), /requires a replacement module/);
+        });
+
+        it('marks the module deprecated and records the change', () => {
+            const { registry, event } = editor.deprecate(loadFixture(), 'linux_base', { ...options, replacement: 'linux_advanced' });
+
+            assert.deepStrictEqual(
+                { status: registry.modules.linux_base.status, lifecycle: registry.modules.linux_base.lifecycle, replacement: registry.modules.linux_base.replacement },
+                { status: 'deprecated', lifecycle: 'deprecated', replacement: 'linux_advanced' }
+            );
+            assert.strictEqual(registry.history, undefined);
+            assert.strictEqual(registry.last_updated, event.at);
+            assert.deepStrictEqual(
+                { action: event.action, module: event.module, by: event.by, replacement: event.replacement },
+                { action: 'deprecated', module: 'linux_base', by: 'maintainer', replacement: 'linux_advanced' }
+            );
+        });
+
+        it('rejects deprecating again with the same replacement', () => {
+            const { registry } = editor.deprecate(loadFixture(), 'linux_base', { ...options, replacement: 'linux_advanced' });
+
+            assert.throws(() => editor.deprecate(registry, 'linux_base', { ...options, replacement: 'linux_advanced' }), /already deprecated/);
+        });
+
+        it('rejects unknown and self replacements', () => {
+            assert.throws(() => editor.deprecate(loadFixture(), 'linux_base', { ...options, replacement: 'docker_intro' }), /Unknown replacement/);
+            assert.throws(() => editor.deprecate(loadFixture(), 'linux_base', { ...options, replacement: 'linux_base' }), /can't replace itself/);
+        });
+    });
+
+    describe('archive', () => {
+        it('rejects archiving an archived module', () => {
+            const { registry } = editor.archive(loadFixture(), 'linux_base', options);
+
+            assert.strictEqual(registry.modules.linux_base.status, 'archived');
+            assert.throws(() => editor.archive(registry, 'linux_base', options), /already archived/);
+        });
+    });
+
+    describe('remove', () => {
+        it('is refused while other modules reference the module', () => {
+            assert.throws(() => editor.remove(loadFixture(), 'linux_base', options), /still referenced by linux_advanced \(prerequisites\)/);
+        });
+
+        it('removes unreferenced modules', () => {
+            const { registry, event } = editor.remove(loadFixture(), 'linux_advanced', options);
+
+            assert.deepStrictEqual(Object.keys(registry.modules), ['linux_base']);
+            assert.strictEqual(event.action, 'removed');
+        });
+    });
+});
+
+describe('scan-modules module', () => {
+    let tmpDir;
+    let registryPath;
+
+    // No $GITHUB_ACTOR and no git config outside a repository, so no user can be detected
+    const runModule = (args) => spawnSync(process.execPath, [SCANNER, 'module', ...args, '--registry', registryPath], {
+        encoding: 'utf8',
+        timeout: 30000,
+        cwd: tmpDir,
+        env: { PATH: process.env.PATH, HOME: tmpDir, GIT_CONFIG_NOSYSTEM: '1' }
+    });
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-editor-'));
+        registryPath = path.join(tmpDir, 'modules.json');
+        fs.copyFileSync(REGISTRY_FIXTURE, registryPath);
+    });
+
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    it('requires --by when no user can be detected', () => {
+        const result = runModule(['archive', 'linux_base', '--reason', 'No longer maintained']);
+
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /module archive requires --by <name>/);
+        assert.strictEqual(fs.readFileSync(registryPath, 'utf8'), fs.readFileSync(REGISTRY_FIXTURE, 'utf8'));
+        assert.ok(!fs.existsSync(getHistoryPath(registryPath)));
+    });
+
+    it('records changes in the history file, not in the registry', () => {
+        const archived = runModule(['archive', 'linux_base', '--reason', 'No longer maintained', '--by', 'maintainer']);
+        assert.strictEqual(archived.status, 0, archived.stderr);
+
+        const removed = runModule(['remove', 'linux_base', '--reason', 'Repository deleted', '--by', 'maintainer']);
+        assert.strictEqual(removed.status, 1);
+        assert.match(removed.stderr, /still referenced by linux_advanced/);
+
+        const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+        assert.strictEqual(registry.modules.linux_base.status, 'archived');
+        assert.strictEqual(registry.history, undefined);
+
+        const events = loadHistory(path.join(tmpDir, 'registry-history.json'));
+        assert.deepStrictEqual(events.map(({ action, module, by, reason }) => ({ action, module, by, reason })), [
+            { action: 'archived', module: 'linux_base', by: 'maintainer', reason: 'No longer maintained' }
+        ]);
+    });
+});
@@ -0,0 +1,264 @@
+/**
+ * scan-modules.js: local scanning and registry commands
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ModuleScanner, parseTimestamp } = require('../scripts/scan-modules.js');
+
+const SCANNER = path.join(__dirname, '../scripts/scan-modules.js');
+const REGISTRY_FIXTURE = path.join(__dirname, 'fixtures/registry.json');
+
+function runScanner(args) {
+    return spawnSync(process.execPath, [SCANNER, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+const MODULE_JSON = {
+    schema_version: '1.0',
+    name: 'docker-intro',
+    title: 'Основы Docker',
+    description: 'Контейнеризация приложений с Docker',
+    version: '0.1.0',
+    type: 'educational',
+    deployment: { subdomain: 'docker-intro', repository: 'mod_docker_intro', build_system: 'hugo-base' },
+    hugo_config: { template: 'default', theme: 'compose', components: ['quiz-engine'], hugo_version: '0.148.2' },
+    metadata: {
+        author: 'InfoTech.io Team',
+        license: 'MIT',
+        difficulty: 'beginner',
+        estimated_time: '20 hours',
+        language: 'ru',
+        tags: ['docker', 'containers', 'devops']
+    },
+    urls: {
+        production: 'https://docker-intro.infotecha.ru',
+        repository: 'https://github.com/info-tech-io/mod_docker_intro',
+        issues: 'https://github.com/info-tech-io/mod_docker_intro/issues'
+    },
+    status: { lifecycle: 'development', last_updated: '2025-01-31' }
+};
+
+describe('scan-modules --local --validate', () => {
+    let tmpDir;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-local-'));
+    });
+
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    it('fails when the directory does not exist', () => {
+        const result = runScanner(['--local', path.join(tmpDir, 'missing'), '--validate']);
+
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /Directory not found/);
+    });
+
+    it('fails when no modules are found', () => {
+        const emptyDir = path.join(tmpDir, 'empty');
+        fs.mkdirSync(emptyDir);
+
+        const result = runScanner(['--local', emptyDir, '--validate']);
+
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /nothing was validated/);
+    });
+
+    it('keeps --timings out of --output json', () => {
+        const moduleDir = path.join(tmpDir, 'timed', 'mod_docker_intro');
+        fs.mkdirSync(moduleDir, { recursive: true });
+        fs.writeFileSync(path.join(moduleDir, 'module.json'), JSON.stringify(MODULE_JSON, null, 2));
+
+        const result = runScanner(['--local', path.dirname(moduleDir), '--output', 'json', '--timings']);
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.deepStrictEqual(JSON.parse(result.stdout).modules.map(module => module.name), ['docker-intro']);
+        assert.match(result.stderr, /Scan timings:[\s\S]*mod_docker_intro/);
+    });
+
+    it('passes for a valid module checkout', () => {
+        const moduleDir = path.join(tmpDir, 'modules', 'mod_docker_intro');
+        fs.mkdirSync(moduleDir, { recursive: true });
+        fs.writeFileSync(path.join(moduleDir, 'module.json'), JSON.stringify(MODULE_JSON, null, 2));
+
+        const result = runScanner(['--local', path.dirname(moduleDir), '--validate']);
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.match(result.stdout, /✓ mod_docker_intro/);
+    });
+});
+
+describe('scan-modules --local --sync', () => {
+    let tmpDir;
+    let modulesDir;
+    let registryPath;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-sync-'));
+        modulesDir = path.join(tmpDir, 'modules');
+        fs.mkdirSync(path.join(modulesDir, 'mod_docker_intro'), { recursive: true });
+        fs.writeFileSync(path.join(modulesDir, 'mod_docker_intro', 'module.json'), JSON.stringify(MODULE_JSON, null, 2));
+        registryPath = path.join(tmpDir, 'modules.json');
+        fs.copyFileSync(REGISTRY_FIXTURE, registryPath);
+    });
+
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    it('lists registry modules missing from the directory without blaming the organization', () => {
+        const result = runScanner(['--local', modulesDir, '--sync', '--registry', registryPath, '--dry-run']);
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.match(result.stderr, /linux_base: mod_linux_base not found in .*modules \(kept in registry\)/);
+        assert.doesNotMatch(result.stderr, /organization|--prune/);
+    });
+
+    it('refuses --prune', () => {
+        const result = runScanner(['--local', modulesDir, '--sync', '--prune', '--registry', registryPath]);
+
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /--prune cannot be used with --local/);
+        assert.strictEqual(fs.readFileSync(registryPath, 'utf8'), fs.readFileSync(REGISTRY_FIXTURE, 'utf8'));
+    });
+});
+
+describe('parseTimestamp', () => {
+    it('keeps UTC timestamps without milliseconds', () => {
+        assert.strictEqual(parseTimestamp('2025-01-31T12:00:00Z'), '2025-01-31T12:00:00Z');
+        assert.strictEqual(parseTimestamp('2025-01-31T12:00:00.250Z'), '2025-01-31T12:00:00Z');
+    });
+
+    it('normalizes timezone offsets to UTC', () => {
+        assert.strictEqual(parseTimestamp('2025-02-01T03:00:00+05:00'), '2025-01-31T22:00:00Z');
+        assert.strictEqual(parseTimestamp('2024-12-31T22:30:00-02:00'), '2025-01-01T00:30:00Z');
+    });
+
+    it('rejects impossible dates and times', () => {
+        assert.throws(() => parseTimestamp('2025-02-30T12:00:00Z'), /Malformed timestamp/);
+        assert.throws(() => parseTimestamp('2025-04-31T12:00:00Z'), /Malformed timestamp/);
+        assert.throws(() => parseTimestamp('2025-01-31T24:00:00Z'), /Malformed timestamp/);
+    });
+
+    it('rejects timestamps without timezone or time', () => {
+        assert.throws(() => parseTimestamp('2025-01-31T12:00:00'), /Malformed timestamp/);
+        assert.throws(() => parseTimestamp('2025-01-31'), /Malformed timestamp/);
+        assert.throws(() => parseTimestamp(undefined), /Malformed timestamp/);
+    });
+});
+
+describe('ModuleScanner.updateRegistryEntry', () => {
+    const scanner = new ModuleScanner({ cache: false });
+    const loadFixture = () => JSON.parse(fs.readFileSync(REGISTRY_FIXTURE, 'utf8'));
+
+    it('rejects unknown modules', async () => {
+        await assert.rejects(
+            scanner.updateRegistryEntry(loadFixture(), 'docker_intro', { updatedAt: '2025-01-31T12:00:00Z' }),
+            /Unknown module "docker_intro" \(registry modules: linux_base, linux_advanced\)/
+        );
+    });
+
+    it('rejects invalid dates', async () => {
+        await assert.rejects(
+            scanner.updateRegistryEntry(loadFixture(), 'linux_base', { updatedAt: '2025-02-30T12:00:00Z' }),
+            /Malformed timestamp/
+        );
+    });
+
+    it('sets last_updated in UTC without modifying the input', async () => {
+        const registry = loadFixture();
+        const { registry: updated, fields } = await scanner.updateRegistryEntry(registry, 'linux_base', {
+            updatedAt: '2025-10-01T15:00:00+03:00'
+        });
+
+        assert.strictEqual(updated.modules.linux_base.last_updated, '2025-10-01T12:00:00Z');
+        assert.deepStrictEqual(fields, [{ field: 'last_updated', from: '2025-09-21T01:29:36+05:00', to: '2025-10-01T12:00:00Z' }]);
+        assert.deepStrictEqual(updated.modules.linux_advanced, registry.modules.linux_advanced);
+        assert.deepStrictEqual(registry, loadFixture());
+    });
+});
+
+describe('scan-modules update-registry', () => {
+    let registryPath;
+
+    before(() => {
+        registryPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'update-registry-')), 'modules.json');
+    });
+
+    after(() => fs.rmSync(path.dirname(registryPath), { recursive: true, force: true }));
+
+    const update = (...args) => runScanner(['update-registry', '--module', 'linux_base', '--registry', registryPath, ...args]);
+
+    it('leaves the file unchanged in a dry run', () => {
+        fs.copyFileSync(REGISTRY_FIXTURE, registryPath);
+
+        const result = update('--updated-at', '2025-10-01T12:00:00Z', '--dry-run');
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.match(result.stdout, /last_updated: "2025-09-21T01:29:36\+05:00" → "2025-10-01T12:00:00Z"/);
+        assert.strictEqual(fs.readFileSync(registryPath, 'utf8'), fs.readFileSync(REGISTRY_FIXTURE, 'utf8'));
+    });
+
+    it('writes the updated registry', () => {
+        fs.copyFileSync(REGISTRY_FIXTURE, registryPath);
+
+        const result = update('--updated-at', '2025-10-01T12:00:00Z');
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.strictEqual(JSON.parse(fs.readFileSync(registryPath, 'utf8')).modules.linux_base.last_updated, '2025-10-01T12:00:00Z');
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(registryPath)), ['modules.json']);
+    });
+
+    it('exits 1 on malformed timestamps without writing', () => {
+        fs.copyFileSync(REGISTRY_FIXTURE, registryPath);
+
+        const result = update('--updated-at', '2025-02-30T12:00:00Z');
+
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /Malformed timestamp/);
+        assert.strictEqual(fs.readFileSync(registryPath, 'utf8'), fs.readFileSync(REGISTRY_FIXTURE, 'utf8'));
+    });
+});
+
+describe('scan-modules changelog', () => {
+    for (const limitArgs of [['--limit', 'abc'], ['--limit', '0'], ['--limit', '-5'], ['--limit']]) {
+        it(`rejects ${limitArgs.join(' ')}`, () => {
+            const result = runScanner(['changelog', '--registry', REGISTRY_FIXTURE, ...limitArgs]);
+
+            assert.strictEqual(result.status, 1);
+            assert.match(result.stderr, /--limit expects a positive integer/);
+            assert.match(result.stderr, /Usage: scan-modules\.js changelog/);
+            assert.strictEqual(result.stdout, '');
+        });
+    }
+});
+
+describe('ModuleScanner.resolveRef', () => {
+    let registryPath;
+
+    before(() => {
+        registryPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'resolve-ref-')), 'modules.json');
+        const registry = JSON.parse(fs.readFileSync(REGISTRY_FIXTURE, 'utf8'));
+        registry.modules.linux_base.ref = 'v1.2.0';
+        fs.writeFileSync(registryPath, JSON.stringify(registry));
+    });
+
+    after(() => fs.rmSync(path.dirname(registryPath), { recursive: true, force: true }));
+
+    it('reads ref pins from the given registry, loading it once', async () => {
+        const scanner = new ModuleScanner({ cache: false, registryPath });
+
+        assert.strictEqual(await scanner.resolveRef('mod_linux_base'), 'v1.2.0');
+        fs.writeFileSync(registryPath, '{}');
+        assert.strictEqual(await scanner.resolveRef('mod_linux_base'), 'v1.2.0');
+        assert.strictEqual(await scanner.resolveRef('mod_linux_advanced', 'master'), 'master');
+    });
+
+    it('prefers the ref of the run over pins', async () => {
+        const scanner = new ModuleScanner({ cache: false, registryPath, ref: 'release' });
+
+        assert.strictEqual(await scanner.resolveRef('mod_linux_base'), 'release');
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * schema-migrations.js: versioned schemas and migration chain
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getSupportedVersions, migrate } = require('../scripts/schema-migrations.js');
+
+describe('schema migrations', () => {
+    const moduleData = {
+        schema_version: '1.0',
+        name: 'linux-base',
+        status: { lifecycle: 'stable', last_updated: '2025-09-20', content_complete: true }
+    };
+
+    it('finds schema files for every version', () => {
+        assert.deepStrictEqual(getSupportedVersions(), ['1.0', '1.1']);
+    });
+
+    it('migrates 1.0 to 1.1 keeping existing fields', () => {
+        const { data, steps } = migrate(moduleData, '1.1');
+
+        assert.deepStrictEqual(data, { ...moduleData, schema_version: '1.1' });
+        assert.deepStrictEqual(steps.map(step => `${step.from}→${step.to}`), ['1.0→1.1']);
+        assert.strictEqual(moduleData.schema_version, '1.0', 'input is not modified');
+    });
+
+    it('does nothing when the file is already at the target version', () => {
+        assert.deepStrictEqual(migrate(moduleData, '1.0'), { data: moduleData, steps: [] });
+    });
+
+    it('rejects versions without a migration path', () => {
+        assert.throws(() => migrate({ ...moduleData, schema_version: '0.9' }, '1.1'), /No migration path/);
+        assert.throws(() => migrate(moduleData, '2.0'), /No migration path/);
+    });
+});
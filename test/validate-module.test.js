@@ -0,0 +1,187 @@
+/**
+ * validate-module.js: validation results, strict mode and reports
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ModuleValidator, Logger } = require('../scripts/validate-module.js');
+
+const VALIDATOR = path.join(__dirname, '../scripts/validate-module.js');
+const MODULE_FIXTURE = path.join(__dirname, 'fixtures/module.json');
+
+const loadModule = () => JSON.parse(fs.readFileSync(MODULE_FIXTURE, 'utf8'));
+
+function runValidator(args) {
+    return spawnSync(process.execPath, [VALIDATOR, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+/**
+ * Validate without log output
+ */
+function validateQuietly(validator, moduleData) {
+    const methods = ['info', 'success', 'warning', 'error'];
+    const originals = methods.map(method => Logger[method]);
+    methods.forEach(method => {
+        Logger[method] = () => {};
+    });
+    try {
+        return validator.validateModule(moduleData, moduleData.name);
+    } finally {
+        methods.forEach((method, index) => {
+            Logger[method] = originals[index];
+        });
+    }
+}
+
+describe('ModuleValidator --strict', () => {
+    const unlicensed = () => {
+        const moduleData = loadModule();
+        delete moduleData.metadata.license;
+        return moduleData;
+    };
+
+    it('keeps lint findings as warnings by default', () => {
+        const result = validateQuietly(new ModuleValidator(), unlicensed());
+
+        assert.strictEqual(result.valid, true);
+        assert.deepStrictEqual(result.errors, []);
+        assert.deepStrictEqual(result.warnings.map(warning => warning.rule), ['license-required']);
+    });
+
+    it('turns warnings into errors', () => {
+        const result = validateQuietly(new ModuleValidator({ strict: true }), unlicensed());
+
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(result.warnings, []);
+        assert.deepStrictEqual(result.errors, [{
+            path: '/metadata/license',
+            keyword: 'rule',
+            rule: 'license-required',
+            message: 'License not specified - consider adding one'
+        }]);
+    });
+});
+
+describe('validate-module --strict reports', () => {
+    let modulePath;
+
+    before(() => {
+        modulePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'validate-strict-')), 'module.json');
+        const moduleData = loadModule();
+        delete moduleData.metadata.license;
+        fs.writeFileSync(modulePath, JSON.stringify(moduleData, null, 2));
+    });
+
+    after(() => fs.rmSync(path.dirname(modulePath), { recursive: true, force: true }));
+
+    it('counts promoted warnings in the JSON summary', () => {
+        const result = runValidator([modulePath, '--strict', '--format', 'json']);
+        const report = JSON.parse(result.stdout);
+
+        assert.strictEqual(result.status, 1);
+        assert.deepStrictEqual(report.summary, { modules: 1, failed: 1, errors: 1, warnings: 0 });
+    });
+
+    it('lists promoted warnings in the JUnit failure', () => {
+        const result = runValidator([modulePath, '--strict', '--format', 'junit']);
+
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stdout, /<failure message="1 validation error\(s\)" type="validation">\[license-required\] \/metadata\/license: License not specified - consider adding one<\/failure>/);
+    });
+});
+
+describe('ModuleValidator learning path', () => {
+    // Registry links keyed by module name, as loadRegistryGraph() returns them
+    const validatorWithRegistry = (registryGraph) => {
+        const validator = new ModuleValidator();
+        validator.registryGraph = registryGraph;
+        return validator;
+    };
+
+    const learningPathErrors = (validator, links) => {
+        const result = validateQuietly(validator, { ...loadModule(), ...links });
+        return result.errors.filter(error => ['reference', 'cycle'].includes(error.keyword));
+    };
+
+    it('reports a prerequisite missing from the registry', () => {
+        const errors = learningPathErrors(validatorWithRegistry({ 'linux-base': {} }), {
+            prerequisites: ['linux-base', 'git-intro']
+        });
+
+        assert.deepStrictEqual(errors, [{
+            path: '/prerequisites/1',
+            keyword: 'reference',
+            message: 'Unknown module "git-intro" in prerequisites (not found in modules.json)',
+            actual: 'git-intro'
+        }]);
+    });
+
+    it('reports a module that references itself', () => {
+        const errors = learningPathErrors(validatorWithRegistry({}), { next: ['docker-intro'] });
+
+        assert.deepStrictEqual(errors, [{
+            path: '/next/0',
+            keyword: 'reference',
+            message: 'Module references itself in next',
+            actual: 'docker-intro'
+        }]);
+    });
+
+    it('reports a cycle through the registry', () => {
+        const validator = validatorWithRegistry({
+            'linux-base': { prerequisites: ['docker-intro'] },
+            'linux-advanced': { prerequisites: ['linux-base'] }
+        });
+
+        const errors = learningPathErrors(validator, { prerequisites: ['linux-advanced'] });
+
+        assert.deepStrictEqual(errors, [{
+            path: '/prerequisites',
+            keyword: 'cycle',
+            message: 'Learning path has a cycle: linux-base → linux-advanced → docker-intro → linux-base'
+        }]);
+    });
+
+    it('only checks self-references without a registry', () => {
+        const validator = validatorWithRegistry(null);
+
+        assert.deepStrictEqual(learningPathErrors(validator, { prerequisites: ['git-intro'] }), []);
+        assert.deepStrictEqual(learningPathErrors(validator, { prerequisites: ['docker-intro'] }).map(error => error.message),
+            ['Module references itself in prerequisites']);
+    });
+});
+
+describe('ModuleValidator registry invariants', () => {
+    const registry = (modules) => ({
+        modules: Object.fromEntries(Object.entries(modules).map(([key, links]) => [key, {
+            content_repo: `mod_${key}`,
+            subdomain: key.replace(/_/g, '-'),
+            ...links
+        }]))
+    });
+
+    it('reports dangling prerequisites, self-references and cycles', () => {
+        const errors = new ModuleValidator().checkRegistryInvariants(registry({
+            linux_base: { prerequisites: ['linux_advanced'] },
+            linux_advanced: { prerequisites: ['linux_base'] },
+            docker_intro: { prerequisites: ['git_intro'], next: ['docker_intro'] }
+        }));
+
+        assert.deepStrictEqual(errors, [
+            '/modules/docker_intro/prerequisites: unknown module "git_intro"',
+            '/modules/docker_intro/next: module references itself',
+            'Learning path has a cycle: linux_base → linux_advanced → linux_base'
+        ]);
+    });
+
+    it('accepts a valid learning path', () => {
+        assert.deepStrictEqual(new ModuleValidator().checkRegistryInvariants(registry({
+            linux_base: { next: ['linux_advanced'] },
+            linux_advanced: { prerequisites: ['linux_base'] }
+        })), []);
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * validation-report.js: JSON, JUnit and SARIF output and JSON line mapping
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { ValidationReport, buildJsonLineMap } = require('../scripts/validation-report.js');
+
+const MODULE_TEXT = `{
+  "schema_version": "1.1",
+  "name": "docker-intro",
+  "metadata": {
+    "author": "InfoTech.io Team",
+    "tags": [
+      "docker",
+      "containers"
+    ],
+    "a/b~c": true
+  },
+  "urls": {}
+}
+`;
+
+/**
+ * Parse XML strictly: jsdom throws on malformed XML documents
+ */
+function parseXml(xml) {
+    return new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+}
+
+describe('buildJsonLineMap', () => {
+    it('maps object members to the line of their key', () => {
+        const lines = buildJsonLineMap(MODULE_TEXT);
+
+        assert.strictEqual(lines.get(''), 1);
+        assert.strictEqual(lines.get('/schema_version'), 2);
+        assert.strictEqual(lines.get('/name'), 3);
+        assert.strictEqual(lines.get('/metadata'), 4);
+        assert.strictEqual(lines.get('/metadata/author'), 5);
+        assert.strictEqual(lines.get('/metadata/tags'), 6);
+        assert.strictEqual(lines.get('/urls'), 12);
+    });
+
+    it('maps array items to the line of the value', () => {
+        const lines = buildJsonLineMap(MODULE_TEXT);
+
+        assert.strictEqual(lines.get('/metadata/tags/0'), 7);
+        assert.strictEqual(lines.get('/metadata/tags/1'), 8);
+    });
+
+    it('escapes "/" and "~" in keys as JSON pointers do', () => {
+        const lines = buildJsonLineMap(MODULE_TEXT);
+
+        assert.strictEqual(lines.get('/metadata/a~1b~0c'), 10);
+    });
+
+    it('handles escaped quotes and single-line documents', () => {
+        const lines = buildJsonLineMap('{"title": "say \\"hi\\"", "tags": ["a", "b"]}');
+
+        assert.strictEqual(lines.get('/title'), 1);
+        assert.strictEqual(lines.get('/tags/1'), 1);
+    });
+});
+
+describe('ValidationReport', () => {
+    let tmpDir;
+    let results;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-report-'));
+        const location = path.join(tmpDir, 'module.json');
+        fs.writeFileSync(location, MODULE_TEXT);
+
+        results = [
+            {
+                name: 'docker-intro',
+                location,
+                valid: false,
+                errors: [
+                    { path: '/metadata/tags/1', keyword: 'pattern', message: 'must match pattern "<tag>"' },
+                    { path: '/urls/production', keyword: 'rule', rule: 'production-url', message: 'Production URL & "subdomain" differ' }
+                ],
+                warnings: [
+                    { path: '/metadata/license', rule: 'license-required', message: 'License not specified - consider adding one' }
+                ]
+            },
+            { name: 'linux-base', valid: true, errors: [], warnings: [] }
+        ];
+    });
+
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    it('renders a JSON summary with the results', () => {
+        const report = JSON.parse(new ValidationReport(results).format('json'));
+
+        assert.strictEqual(report.valid, false);
+        assert.deepStrictEqual(report.summary, { modules: 2, failed: 1, errors: 2, warnings: 1 });
+        assert.deepStrictEqual(report.results, results);
+        assert.ok(!Number.isNaN(Date.parse(report.generated_at)));
+    });
+
+    it('renders well-formed JUnit XML with one test case per module', () => {
+        const document = parseXml(new ValidationReport(results).format('junit'));
+
+        const suite = document.querySelector('testsuite');
+        assert.strictEqual(suite.getAttribute('tests'), '2');
+        assert.strictEqual(suite.getAttribute('failures'), '1');
+
+        const testcases = document.querySelectorAll('testcase');
+        assert.deepStrictEqual(Array.from(testcases, testcase => testcase.getAttribute('name')), ['docker-intro', 'linux-base']);
+
+        const failure = testcases[0].querySelector('failure');
+        assert.strictEqual(failure.getAttribute('message'), '2 validation error(s)');
+        assert.strictEqual(failure.textContent, [
+            '/metadata/tags/1: must match pattern "<tag>"',
+            '[production-url] /urls/production: Production URL & "subdomain" differ'
+        ].join('\n'));
+        assert.strictEqual(testcases[0].querySelector('system-out').textContent,
+            '[license-required] License not specified - consider adding one');
+
+        assert.strictEqual(testcases[1].children.length, 0);
+    });
+
+    it('renders SARIF 2.1.0 with rules, levels and line numbers', () => {
+        const sarif = JSON.parse(new ValidationReport(results).format('sarif'));
+
+        assert.strictEqual(sarif.version, '2.1.0');
+        const [run] = sarif.runs;
+
+        assert.deepStrictEqual(run.tool.driver.rules.map(rule => [rule.id, rule.defaultConfiguration.level]), [
+            ['schema/pattern', 'error'],
+            ['production-url', 'error'],
+            ['license-required', 'warning']
+        ]);
+
+        const locations = run.results.map(result => [
+            result.ruleId,
+            result.level,
+            result.locations[0].physicalLocation.artifactLocation.uri,
+            result.locations[0].physicalLocation.region?.startLine
+        ]);
+        assert.deepStrictEqual(locations, [
+            // Array item on its own line
+            ['schema/pattern', 'error', results[0].location, 8],
+            // Missing /urls/production falls back to /urls
+            ['production-url', 'error', results[0].location, 12],
+            // Missing /metadata/license falls back to /metadata
+            ['license-required', 'warning', results[0].location, 4]
+        ]);
+        assert.strictEqual(run.results[0].message.text, '/metadata/tags/1: must match pattern "<tag>"');
+    });
+
+    it('leaves out the region when the module has no local file', () => {
+        const remote = [{ name: 'docker-intro', valid: false, errors: [{ path: '/name', keyword: 'required', message: 'is required' }], warnings: [] }];
+        const [result] = JSON.parse(new ValidationReport(remote).format('sarif')).runs[0].results;
+
+        assert.deepStrictEqual(result.locations, [{ physicalLocation: { artifactLocation: { uri: 'docker-intro' } } }]);
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => new ValidationReport(results).format('html'), /Unknown report format "html"\. Supported: json, junit, sarif/);
+    });
+});